@@ -1,23 +1,163 @@
 const dotenv = require('dotenv');
 dotenv.config();
 
+/**
+ * Parse an integer setting where 0 is a valid value
+ * @param {string} value - Environment variable value
+ * @param {number} fallback - Value used when the variable is unset or not a number
+ * @returns {number}
+ */
+function parseIntSetting(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
 module.exports = {
   youtubeApiKey: process.env.YOUTUBE_API_KEY,
   mongodbUri: process.env.MONGODB_URI,
   port: process.env.PORT || 3000,
 
-  // openaiApiKey: process.env.OPENAI_API_KEY,
+  openaiApiKey: process.env.OPENAI_API_KEY,
   geminiApiKey: process.env.GEMINI_API_KEY,
-  // YouTube channels to monitor (add your channel IDs here)
+  // LLM used for AI analysis; the provider and model can be overridden per request
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'gemini',
+    models: {
+      gemini: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+      openai: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      local: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+      fixture: 'fixture-v1'
+    },
+    // OpenAI-compatible endpoint for the local provider (e.g. Ollama)
+    localBaseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    localApiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+    // Extra requests asking the model to fix JSON that failed schema validation (0 turns repair off)
+    maxRepairAttempts: parseIntSetting(process.env.LLM_MAX_REPAIR_ATTEMPTS, 1),
+    // How long validated analyses are reused for unchanged videos
+    cacheTtlDays: parseInt(process.env.LLM_CACHE_TTL_DAYS) || 30
+  },
+  // Comment fetching
+  comments: {
+    // Fetch replies along with top-level comments (long threads are paged with comments.list)
+    fetchReplies: process.env.COMMENT_FETCH_REPLIES !== 'false',
+    maxRepliesPerThread: parseInt(process.env.COMMENT_MAX_REPLIES_PER_THREAD) || 100,
+    // Count replies in comment sentiment; can be overridden per request
+    includeRepliesInSentiment: process.env.SENTIMENT_INCLUDE_REPLIES !== 'false'
+  },
+  // Comment spam and bot detection
+  spam: {
+    // Comments scoring at or above this (0-1) are flagged as spam
+    threshold: parseFloat(process.env.SPAM_THRESHOLD) || 0.5,
+    // Count flagged comments in sentiment and ad effectiveness; can be overridden per request
+    includeInSentiment: process.env.SENTIMENT_INCLUDE_SPAM === 'true',
+    // Shorter texts ("first!", "nice video") are not treated as copied spam
+    minDuplicateLength: 30,
+    minWordsPerLink: 8,
+    authorRepeatThreshold: 3,
+    emojiFloodCount: 6
+  },
+  // Comment sentiment analysis
+  sentiment: {
+    // Language codes with a sentiment model (natural for en/es/pt, node-nlp for the rest). Hindi is
+    // left out: node-nlp's Hindi lexicon scores "बहुत" (very) as negative, so "बहुत अच्छा" comes out negative
+    languages: (process.env.SENTIMENT_LANGUAGES || 'en,es,pt,fr,de,it,nl,id,ru,tr,pl,ar,bn,ta')
+      .split(',').map(language => language.trim()).filter(Boolean),
+    // Shorter comments are assumed to be in the video's language
+    minDetectionWords: 3,
+    // Guesses within this ratio of each other are too close to call on trigrams alone
+    detectionMargin: 0.8,
+    // Languages scoring within this ratio of the top guess are still plausible: the video's language
+    // is used for a low-confidence guess, and other supported languages are checked for marker words
+    fallbackMargin: 0.6
+  },
+  // Ad effectiveness scoring
+  scoring: {
+    // Profile used unless a request names another
+    defaultProfile: process.env.SCORING_PROFILE || 'default',
+    // Recent videos per channel/category used for baselines
+    baselineSampleSize: parseInt(process.env.SCORING_BASELINE_SAMPLE_SIZE) || 200,
+    baselineCacheTtlMs: 10 * 60 * 1000
+  },
+  // Channel profiles
+  channels: {
+    // Recent uploads the upload cadence is computed from
+    cadenceSampleSize: 20
+  },
+  // Sponsored vs. organic lift analysis
+  lift: {
+    // Organic uploads before each sponsored video that form its rolling baseline
+    baselineVideos: parseInt(process.env.LIFT_BASELINE_VIDEOS) || 10,
+    minBaselineVideos: 3,
+    // Newer videos are left out while their views are still accumulating
+    minVideoAgeDays: parseInt(process.env.LIFT_MIN_VIDEO_AGE_DAYS) || 7
+  },
+  // Competitor share-of-voice reports
+  shareOfVoice: {
+    // Weeks covered when a report has no from date
+    defaultWeeks: parseInt(process.env.SHARE_OF_VOICE_WEEKS) || 12
+  },
+  // Values filled into prompt template placeholders
+  prompts: {
+    maxDescriptionLength: 1000,
+    commentSampleSize: 5
+  },
+  // YouTube channels to monitor (seed data for an empty watchlist; manage them via /api/watchlist)
   youtubeChannels: [
     'UCsLiV4WJfkTEHH0b9PmRklw', // Example: Maximus Tech channel
     'UC-lHJZR3Gqxm24_Vd_AJ5Yw'  // Example: PewDiePie channel
   ],
-  // Keywords to search for (add your keywords here)
+  // Keywords to search for (seed data for an empty watchlist)
   searchKeywords: [
     'node.js tutorial',
     'javascript programming'
   ],
   // Cron schedule for fetching new videos (default: every hour)
-  cronSchedule: '0 * * * *'
+  cronSchedule: '0 * * * *',
+  // Incremental channel sync and stats refresh
+  sync: {
+    // Uploads fetched the first time a channel is synced
+    initialMaxResults: parseInt(process.env.SYNC_INITIAL_MAX_RESULTS) || 50,
+    // Refresh stats of videos not updated within this many hours
+    statsRefreshAgeHours: parseInt(process.env.STATS_REFRESH_AGE_HOURS) || 24 * 7,
+    statsRefreshBatchSize: parseInt(process.env.STATS_REFRESH_BATCH_SIZE) || 500,
+    // Weekly on Saturday at 3am
+    statsRefreshSchedule: process.env.STATS_REFRESH_SCHEDULE || '0 3 * * 6'
+  },
+  // Sponsor segment detection in caption tracks
+  captions: {
+    // Close a segment when no sponsor phrase appears for this long
+    maxGapSeconds: 30,
+    maxSegmentSeconds: 300
+  },
+  // Brand dictionary cache lifetime
+  brands: {
+    cacheTtlMs: 5 * 60 * 1000
+  },
+  // Description link expansion ('http' follows shortener redirects, 'none' leaves links as written)
+  links: {
+    resolver: process.env.LINK_RESOLVER || 'http',
+    resolveTimeoutMs: parseInt(process.env.LINK_RESOLVE_TIMEOUT_MS) || 5000,
+    // Expanded short links are reused for a day, up to this many links
+    cacheTtlMs: 24 * 60 * 60 * 1000,
+    cacheMaxEntries: 5000
+  },
+  // Upper limit on results paged in by a single fetch (channel uploads, search, comments)
+  pagination: {
+    maxResultsCap: parseInt(process.env.YOUTUBE_MAX_FETCH_RESULTS) || 500
+  },
+  // YouTube Data API quota budget (units per day, reset at midnight Pacific Time)
+  quota: {
+    dailyBudget: parseInt(process.env.YOUTUBE_QUOTA_DAILY_BUDGET) || 10000,
+    // Units held back for interactive API requests; background jobs stop before using them
+    criticalReserve: parseInt(process.env.YOUTUBE_QUOTA_CRITICAL_RESERVE) || 1000,
+    timeZone: 'America/Los_Angeles'
+  },
+  // Background job queue settings
+  jobs: {
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    maxItemAttempts: parseInt(process.env.JOB_MAX_ITEM_ATTEMPTS) || 3,
+    retryBaseDelayMs: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 2000,
+    retryMaxDelayMs: 60000
+  }
 };
\ No newline at end of file
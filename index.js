@@ -5,9 +5,27 @@ const morgan = require('morgan');
 const cron = require('node-cron');
 const config = require('./config/config');
 const youtubeService = require('./services/youtube');
+const jobQueue = require('./services/jobQueue');
+const quota = require('./services/quota');
+const watchlist = require('./services/watchlist');
+const captions = require('./services/captions');
+const brands = require('./services/brands');
+const llm = require('./services/llm');
+const prompts = require('./services/prompts');
+const scoring = require('./services/scoring');
+const sponsorshipLift = require('./services/sponsorshipLift');
+const brandAnalytics = require('./services/brandAnalytics');
+const shareOfVoice = require('./services/shareOfVoice');
 const Video = require('./models/video');
 const Comment = require('./models/comment');
 const AdInsight = require('./models/adInsight');
+const Job = require('./models/job');
+const ChannelSyncState = require('./models/channelSyncState');
+const WatchTarget = require('./models/watchTarget');
+const Brand = require('./models/brand');
+const PromptTemplate = require('./models/promptTemplate');
+const ScoringProfile = require('./models/scoringProfile');
+const Channel = require('./models/channel');
 
 // Initialize Express app
 const app = express();
@@ -16,25 +34,50 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 app.use(morgan('dev'));
+app.use(quota.trackCaller);
+
+/**
+ * Run a startup step, logging a failure without skipping the steps after it
+ * @param {string} name - Step description for the log
+ * @param {Function} step - Async function to run
+ */
+async function runStartupStep(name, step) {
+  try {
+    await step();
+  } catch (error) {
+    console.error(`Startup step failed (${name}):`, error);
+  }
+}
 
 // Connect to MongoDB
 mongoose.connect(config.mongodbUri, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(async () => {
+  console.log('Connected to MongoDB');
+  // AdInsight switched from one document per video to versioned documents,
+  // so drop the old unique videoId index if it is still present
+  await runStartupStep('sync AdInsight indexes', () => AdInsight.syncIndexes());
+  await runStartupStep('seed watch targets', () => watchlist.seedWatchTargets());
+  await runStartupStep('seed prompt templates', () => prompts.seedPromptTemplates());
+  await runStartupStep('seed scoring profiles', () => scoring.seedScoringProfiles());
+  await runStartupStep('schedule watch targets', () => watchlist.scheduleWatchTargets());
+  // The job worker starts even if a seed above failed
+  await runStartupStep('start job worker', () => jobQueue.startWorker());
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // API Routes
 
 // Fetch and store videos immediately when server starts
-app.get('/api/fetch-now', async (req, res) => {
+app.get('/api/fetch-now', quota.nonCritical, async (req, res) => {
   try {
     const videos = await youtubeService.fetchAllVideos();
     res.json({ success: true, count: videos.length, message: 'Videos fetched successfully' });
   } catch (error) {
     console.error('Error in fetch-now endpoint:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error instanceof quota.QuotaExceededError ? 429 : 500).json({ success: false, error: error.message });
   }
 });
 
@@ -125,6 +168,253 @@ app.get('/api/videos/search/:keyword', async (req, res) => {
   }
 });
 
+// Get the statistics history of a video with deltas and view velocity
+app.get('/api/videos/:videoId/stats-history', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid from/to date. Use an ISO date such as 2025-01-01' 
+      });
+    }
+    
+    const video = await Video.findOne({ videoId }).select('videoId title publishedAt sponsorshipInfo.hasSponsorship');
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+    
+    const history = await youtubeService.getVideoStatsHistory(videoId, { from, to });
+    
+    // Days since publish make launch-week performance comparable across videos
+    const series = history.map(point => ({
+      ...point,
+      daysSincePublish: video.publishedAt
+        ? (point.capturedAt - video.publishedAt) / (24 * 60 * 60 * 1000)
+        : null
+    }));
+    
+    res.json({
+      success: true,
+      videoId,
+      title: video.title,
+      publishedAt: video.publishedAt,
+      hasSponsorship: video.sponsorshipInfo ? video.sponsorshipInfo.hasSponsorship : false,
+      count: series.length,
+      series
+    });
+  } catch (error) {
+    console.error('Error fetching video stats history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Upload a caption track (SRT/WebVTT as a text body, or JSON with content or cues)
+// and detect sponsor read segments from it
+app.post('/api/videos/:videoId/captions', express.text({ type: ['text/*', 'application/x-subrip'], limit: '5mb' }), async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    
+    const videoExists = await Video.findOne({ videoId });
+    if (!videoExists) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+    
+    const track = typeof req.body === 'string'
+      ? { content: req.body, format: req.query.format, language: req.query.language }
+      : req.body;
+    
+    if (!track || (!track.content && !Array.isArray(track.cues))) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Provide caption content (SRT or WebVTT) or a cues array' 
+      });
+    }
+    
+    const result = await captions.ingestCaptions(videoId, track);
+    
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    
+    res.json({
+      success: true,
+      videoId,
+      cueCount: result.caption.cues.length,
+      segments: result.segments,
+      sponsorshipInfo: result.sponsorshipInfo
+    });
+  } catch (error) {
+    console.error('Error processing captions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get detected sponsor segments for a video
+app.get('/api/videos/:videoId/sponsor-segments', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    
+    const video = await Video.findOne({ videoId }).select('videoId title sponsorshipInfo');
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+    
+    const sponsorshipInfo = video.sponsorshipInfo || {};
+    
+    res.json({
+      success: true,
+      videoId,
+      hasSponsorship: Boolean(sponsorshipInfo.hasSponsorship),
+      adDuration: sponsorshipInfo.adDuration || null,
+      segments: sponsorshipInfo.segments || []
+    });
+  } catch (error) {
+    console.error('Error fetching sponsor segments:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Find videos by sponsorship link domain (including subdomains), link category or promo code
+app.get('/api/sponsorships/links', async (req, res) => {
+  try {
+    const domain = req.query.domain ? req.query.domain.toLowerCase().trim().replace(/^www\./, '') : null;
+    const code = req.query.code ? req.query.code.toUpperCase().trim() : null;
+    const { category } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    if (!domain && !code && !category) {
+      return res.status(400).json({ success: false, error: 'Provide a domain, code or category' });
+    }
+
+    const domainPattern = domain
+      ? new RegExp(`(^|\\.)${domain.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`)
+      : null;
+
+    const query = {};
+    if (domainPattern || category) {
+      const linkMatch = {};
+      if (domainPattern) linkMatch.domain = domainPattern;
+      if (category) linkMatch.category = category;
+      query['sponsorshipInfo.links'] = { $elemMatch: linkMatch };
+    }
+    if (code) {
+      query['sponsorshipInfo.promoCodes.code'] = code;
+    }
+
+    const videos = await Video.find(query)
+      .select('videoId title channelId channelTitle publishedAt sponsorshipInfo.links sponsorshipInfo.promoCodes')
+      .sort({ publishedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Video.countDocuments(query);
+
+    // Only return the links and codes that matched the filters
+    const results = videos.map(video => ({
+      videoId: video.videoId,
+      title: video.title,
+      channelId: video.channelId,
+      channelTitle: video.channelTitle,
+      publishedAt: video.publishedAt,
+      links: (video.sponsorshipInfo.links || []).filter(link =>
+        (!domainPattern || domainPattern.test(link.domain)) && (!category || link.category === category)),
+      promoCodes: (video.sponsorshipInfo.promoCodes || []).filter(promoCode => !code || promoCode.code === code)
+    }));
+
+    res.json({
+      success: true,
+      videos: results,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching sponsorship links:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sort orders accepted by the channel list
+const CHANNEL_SORT_FIELDS = ['subscriberCount', 'viewCount', 'videoCount', 'title'];
+
+// List stored channel profiles with their ad frequency stats
+app.get('/api/channels', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const sortField = req.query.sort || 'subscriberCount';
+    
+    if (!CHANNEL_SORT_FIELDS.includes(sortField)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Invalid sort. Supported values: ${CHANNEL_SORT_FIELDS.join(', ')}` 
+      });
+    }
+    
+    const filter = {};
+    if (req.query.country) filter.country = req.query.country.toUpperCase();
+    if (req.query.topic) filter.topics = req.query.topic;
+    
+    const channels = await Channel.find(filter)
+      .sort({ [sortField]: sortField === 'title' ? 1 : -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    const total = await Channel.countDocuments(filter);
+    const adStats = await youtubeService.getChannelAdStats(channels.map(channel => channel.channelId));
+    
+    res.json({
+      success: true,
+      channels: channels.map(channel => ({
+        ...channel.toObject(),
+        adStats: adStats.get(channel.channelId)
+      })),
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching channels:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a channel profile with its ad frequency stats
+// Channels without a stored profile (or with refresh=true) are fetched from the YouTube API
+app.get('/api/channels/:channelId', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    
+    let channel = await Channel.findOne({ channelId });
+    if (!channel || req.query.refresh === 'true') {
+      const profiles = await youtubeService.refreshChannelProfiles([channelId]);
+      channel = profiles.get(channelId) || channel;
+    }
+    
+    if (!channel) {
+      return res.status(404).json({ success: false, message: 'Channel not found' });
+    }
+    
+    const adStats = await youtubeService.getChannelAdStats([channelId]);
+    
+    res.json({ success: true, channel, adStats: adStats.get(channelId) });
+  } catch (error) {
+    console.error('Error fetching channel profile:', error);
+    res.status(error instanceof quota.QuotaExceededError ? 429 : 500).json({ success: false, error: error.message });
+  }
+});
+
 // Get videos by channel ID
 app.get('/api/channels/:channelId/videos', async (req, res) => {
   try {
@@ -156,11 +446,49 @@ app.get('/api/channels/:channelId/videos', async (req, res) => {
   }
 });
 
+/**
+ * Parse the LLM provider and model selected for AI analysis
+ * @param {Object} query - Request query parameters
+ * @returns {Object} { options } with provider and model (unset ones use config defaults) or { error }
+ */
+function parseLlmOptions(query) {
+  const options = {};
+  if (query.provider) options.provider = query.provider;
+  if (query.model) options.model = query.model;
+  
+  try {
+    llm.resolveLlmOptions(options);
+  } catch (error) {
+    return { error: error.message };
+  }
+  
+  return { options };
+}
+
+/**
+ * Parse an optional true/false query parameter, such as includeReplies or includeSpam
+ * @param {string} value - Query parameter value
+ * @returns {boolean|undefined} Requested value, or undefined to use the config default
+ */
+function parseOptionalBoolean(value) {
+  return value !== undefined ? value === 'true' : undefined;
+}
+
 // Generate ad insights report for a video
 app.post('/api/videos/:videoId/generate-insights', async (req, res) => {
   try {
     const { videoId } = req.params;
     
+    const llmOptions = parseLlmOptions(req.query);
+    if (llmOptions.error) {
+      return res.status(400).json({ success: false, error: llmOptions.error });
+    }
+    
+    const { scoringProfile } = req.query;
+    if (scoringProfile && !(await scoring.getActiveProfile(scoringProfile))) {
+      return res.status(400).json({ success: false, error: `No active version of scoring profile: ${scoringProfile}` });
+    }
+    
     // Check if video exists
     const videoExists = await Video.findOne({ videoId });
     if (!videoExists) {
@@ -168,10 +496,16 @@ app.post('/api/videos/:videoId/generate-insights', async (req, res) => {
     }
     
     // Generate ad insights report
-    const result = await youtubeService.generateAdInsightsReport(videoId);
+    const result = await youtubeService.generateAdInsightsReport(videoId, {
+      ...llmOptions.options,
+      force: req.query.force === 'true',
+      includeReplies: parseOptionalBoolean(req.query.includeReplies),
+      includeSpam: parseOptionalBoolean(req.query.includeSpam),
+      scoringProfile
+    });
     
     if (!result.success) {
-      return res.status(400).json({ success: false, error: result.error });
+      return res.status(result.quotaExceeded ? 429 : 400).json({ success: false, error: result.error });
     }
     
     res.json({ success: true, report: result.report });
@@ -186,7 +520,7 @@ app.get('/api/videos/:videoId/ad-insights', async (req, res) => {
   try {
     const { videoId } = req.params;
     
-    const adInsight = await AdInsight.findOne({ videoId });
+    const adInsight = await AdInsight.findOne({ videoId, isLatest: true });
     
     if (!adInsight) {
       return res.status(404).json({ 
@@ -203,36 +537,132 @@ app.get('/api/videos/:videoId/ad-insights', async (req, res) => {
   }
 });
 
+// Get ad insights version history for a video, with diffs between adjacent versions
+app.get('/api/videos/:videoId/ad-insights/history', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    
+    const versions = await AdInsight.find({ videoId }).sort({ version: 1 });
+    
+    if (versions.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ad insights not found for this video',
+        videoId 
+      });
+    }
+    
+    const history = versions.map((version, index) => ({
+      version: version.version,
+      isLatest: version.isLatest,
+      generatedAt: version.generatedAt,
+      report: version,
+      changes: index > 0
+        ? youtubeService.diffAdInsightVersions(versions[index - 1].toObject(), version.toObject())
+        : []
+    }));
+    
+    res.json({
+      success: true,
+      videoId,
+      totalVersions: versions.length,
+      history: history.reverse()
+    });
+  } catch (error) {
+    console.error('Error fetching ad insights history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Generate batch ad insights for a channel
 app.post('/api/channels/:channelId/generate-insights', async (req, res) => {
   try {
     const { channelId } = req.params;
     
+    const llmOptions = parseLlmOptions(req.query);
+    if (llmOptions.error) {
+      return res.status(400).json({ success: false, error: llmOptions.error });
+    }
+    
+    const { scoringProfile } = req.query;
+    if (scoringProfile && !(await scoring.getActiveProfile(scoringProfile))) {
+      return res.status(400).json({ success: false, error: `No active version of scoring profile: ${scoringProfile}` });
+    }
+    
     // Check if channel has videos
     const videosExist = await Video.findOne({ channelId });
     if (!videosExist) {
       return res.status(404).json({ success: false, message: 'No videos found for this channel' });
     }
     
-    // Start batch processing (non-blocking)
-    res.json({ 
+    // Queue batch processing as a background job
+    const job = await jobQueue.enqueueJob(
+      'channel-insights',
+      {
+        channelId,
+        llm: llmOptions.options,
+        force: req.query.force === 'true',
+        includeReplies: parseOptionalBoolean(req.query.includeReplies),
+        includeSpam: parseOptionalBoolean(req.query.includeSpam),
+        scoringProfile
+      },
+      { source: 'api' }
+    );
+    
+    res.status(202).json({ 
       success: true, 
-      message: 'Batch processing started. Check status endpoint for progress.',
-      channelId
+      message: 'Batch processing queued. Check the job endpoint for progress.',
+      channelId,
+      jobId: job._id
     });
+  } catch (error) {
+    console.error('Error initiating batch processing:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List latest ad insights filtered by fields of the structured AI analysis
+app.get('/api/ad-insights', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
     
-    // Process in background
-    youtubeService.generateChannelAdInsights(channelId)
-      .then(result => {
-        console.log(`Batch processing completed for channel ${channelId}:`, 
-          result.success ? `${result.results.processed} videos processed` : result.error);
-      })
-      .catch(err => {
-        console.error(`Batch processing failed for channel ${channelId}:`, err.message);
-      });
+    const query = { isLatest: true };
+    if (req.query.channelId) query.channelId = req.query.channelId;
+    if (req.query.adFormat) query['aiAnalysis.adFormat'] = req.query.adFormat;
+    if (req.query.narrativeStyle) query['aiAnalysis.narrativeStyle'] = req.query.narrativeStyle;
+    if (req.query.ctaType) query['aiAnalysis.ctaTypes'] = req.query.ctaType;
+    if (req.query.placement) query['aiAnalysis.placement'] = req.query.placement;
+    if (req.query.audienceReaction) query['aiAnalysis.audienceReaction'] = req.query.audienceReaction;
+    if (req.query.status) query.aiAnalysisStatus = req.query.status;
+    if (req.query.brand) {
+      query['aiAnalysis.brands'] = {
+        $elemMatch: {
+          name: req.query.brand,
+          confidence: { $gte: parseFloat(req.query.minConfidence) || 0 }
+        }
+      };
+    }
+    
+    const adInsights = await AdInsight.find(query)
+      .sort({ generatedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    const total = await AdInsight.countDocuments(query);
     
+    res.json({
+      success: true,
+      adInsights,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
   } catch (error) {
-    console.error('Error initiating batch processing:', error);
+    console.error('Error fetching ad insights:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -243,12 +673,16 @@ app.get('/api/channels/:channelId/insights-status', async (req, res) => {
     const { channelId } = req.params;
     
     const totalVideos = await Video.countDocuments({ channelId });
-    const processedVideos = await AdInsight.countDocuments({ channelId });
+    const processedVideos = await AdInsight.countDocuments({ channelId, isLatest: true });
     
-    const latestInsight = await AdInsight.findOne({ channelId })
+    const latestInsight = await AdInsight.findOne({ channelId, isLatest: true })
       .sort({ generatedAt: -1 })
       .limit(1);
     
+    const latestJob = await Job.findOne({ type: 'channel-insights', 'payload.channelId': channelId })
+      .sort({ createdAt: -1 })
+      .select('-items');
+    
     res.json({
       success: true,
       channelId,
@@ -258,7 +692,8 @@ app.get('/api/channels/:channelId/insights-status', async (req, res) => {
         progress: totalVideos > 0 ? (processedVideos / totalVideos) * 100 : 0,
         isComplete: processedVideos >= totalVideos,
         lastProcessed: latestInsight ? latestInsight.generatedAt : null
-      }
+      },
+      latestJob
     });
   } catch (error) {
     console.error('Error fetching batch status:', error);
@@ -266,25 +701,51 @@ app.get('/api/channels/:channelId/insights-status', async (req, res) => {
   }
 });
 
-// Get comments for a video
-app.get('/api/videos/:videoId/comments', async (req, res) => {
+// Compare a channel's sponsored videos with its rolling organic baseline
+app.get('/api/channels/:channelId/sponsorship-lift', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    
+    const baselineVideos = req.query.baselineVideos !== undefined ? parseInt(req.query.baselineVideos) : undefined;
+    if (baselineVideos !== undefined && !(baselineVideos > 0)) {
+      return res.status(400).json({ success: false, error: 'baselineVideos must be a positive integer' });
+    }
+    
+    const result = await sponsorshipLift.analyzeSponsorshipLift(channelId, { baselineVideos });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'No videos found for this channel' });
+    }
+    
+    res.json({ success: true, channelId, ...result });
+  } catch (error) {
+    console.error('Error computing sponsorship lift:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List background jobs with optional filters
+app.get('/api/jobs', async (req, res) => {
   try {
-    const { videoId } = req.params;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
     
-    const comments = await Comment.find({ videoId })
-      .sort({ publishedAt: -1 })
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.channelId) filter['payload.channelId'] = req.query.channelId;
+    
+    const jobs = await Job.find(filter)
+      .sort({ createdAt: -1 })
       .skip(skip)
-      .limit(limit);
+      .limit(limit)
+      .select('-items');
     
-    const total = await Comment.countDocuments({ videoId });
+    const total = await Job.countDocuments(filter);
     
     res.json({
       success: true,
-      videoId,
-      comments,
+      jobs,
       pagination: {
         total,
         page,
@@ -292,84 +753,143 @@ app.get('/api/videos/:videoId/comments', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error fetching comments:', error);
+    console.error('Error fetching jobs:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Fetch fresh comments for a video from YouTube API
-app.post('/api/videos/:videoId/refresh-comments', async (req, res) => {
+// Get a background job with its per-video results
+app.get('/api/jobs/:jobId', async (req, res) => {
   try {
-    const { videoId } = req.params;
-    const maxResults = parseInt(req.query.maxResults) || 100;
-    
-    // Check if video exists
-    const videoExists = await Video.findOne({ videoId });
-    if (!videoExists) {
-      return res.status(404).json({ success: false, message: 'Video not found' });
+    if (!mongoose.isValidObjectId(req.params.jobId)) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
     }
     
-    // Fetch comments from YouTube API
-    const comments = await youtubeService.getVideoComments(videoId, maxResults);
+    const job = await Job.findById(req.params.jobId);
     
-    if (!comments || comments.length === 0) {
-      return res.json({ 
-        success: true, 
-        message: 'No comments found for this video',
-        count: 0
-      });
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
     }
     
-    // Process and store comments
-    const savedComments = [];
-    
-    for (const comment of comments) {
-      // Calculate sentiment
-      const tokens = youtubeService.tokenizer.tokenize(comment.text);
-      const sentimentScore = youtubeService.sentiment.getSentiment(tokens);
-      
-      // Determine classification
-      let classification = 'neutral';
-      if (sentimentScore > 0.05) classification = 'positive';
-      else if (sentimentScore < -0.05) classification = 'negative';
-      
-      // Check for ad-related keywords
-      const adKeywords = ['ad', 'sponsor', 'promotion', 'sponsored', 'brand', 'product'];
-      const foundAdKeywords = adKeywords.filter(keyword => 
-        comment.text.toLowerCase().includes(keyword)
-      );
-      
-      // Save to database
-      const newComment = new Comment({
-        commentId: comment.commentId,
-        videoId,
-        text: comment.text,
-        authorName: comment.authorName,
-        authorProfileUrl: comment.authorProfileUrl,
-        likeCount: comment.likeCount,
-        publishedAt: comment.publishedAt,
-        updatedAt: comment.updatedAt,
-        sentiment: {
-          score: sentimentScore,
-          comparative: sentimentScore / tokens.length,
-          classification,
-          keywords: tokens.slice(0, 10) // Keep most significant keywords
-        },
-        adRelated: {
-          isAdRelated: foundAdKeywords.length > 0,
-          adKeywords: foundAdKeywords,
-          brandMentions: [] // Would require more advanced NLP
-        }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cancel a queued or running job
+app.post('/api/jobs/:jobId/cancel', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.jobId)) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    
+    const job = await jobQueue.cancelJob(req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    
+    if (!['queued', 'running', 'cancelled'].includes(job.status)) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Job already ${job.status}`,
+        jobId: job._id
       });
+    }
+    
+    res.json({
+      success: true,
+      message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+      jobId: job._id,
+      status: job.status
+    });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get comments for a video (threaded=true pages top-level comments with their replies nested,
+// spam=true lists only comments flagged as spam and spam=false leaves them out)
+app.get('/api/videos/:videoId/comments', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const threaded = req.query.threaded === 'true';
+    
+    // Comments stored before replies were fetched have no parentId and count as top-level
+    const query = threaded ? { videoId, parentId: null } : { videoId };
+    if (req.query.spam === 'true') {
+      query['spam.isSpam'] = true;
+    } else if (req.query.spam === 'false') {
+      query['spam.isSpam'] = { $ne: true };
+    }
+    
+    let comments = await Comment.find(query)
+      .sort({ publishedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    const total = await Comment.countDocuments(query);
+    
+    if (threaded) {
+      const replies = await Comment.find({ videoId, parentId: { $in: comments.map(c => c.commentId) } })
+        .sort({ publishedAt: 1 });
       
-      // Use upsert to avoid duplicates
-      await Comment.findOneAndUpdate(
-        { commentId: comment.commentId },
-        { $set: newComment.toObject() },
-        { upsert: true, new: true }
-      );
-      
-      savedComments.push(newComment);
+      comments = comments.map(comment => ({
+        ...comment.toObject(),
+        replies: replies.filter(reply => reply.parentId === comment.commentId)
+      }));
+    }
+    
+    res.json({
+      success: true,
+      videoId,
+      threaded,
+      spam: parseOptionalBoolean(req.query.spam),
+      comments,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Fetch fresh comments for a video from YouTube API
+app.post('/api/videos/:videoId/refresh-comments', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const maxResults = parseInt(req.query.maxResults) || 100;
+    const includeReplies = parseOptionalBoolean(req.query.includeReplies);
+    
+    // Check if video exists
+    const videoExists = await Video.findOne({ videoId });
+    if (!videoExists) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+    
+    // Fetch, score and store comments
+    const comments = await youtubeService.ingestVideoComments(videoId, maxResults, {
+      includeReplies,
+      fallbackLanguage: videoExists.defaultAudioLanguage || videoExists.defaultLanguage,
+      brands: videoExists.sponsorshipInfo && videoExists.sponsorshipInfo.detectedBrands
+    });
+    
+    if (!comments || comments.length === 0) {
+      return res.json({ 
+        success: true, 
+        message: 'No comments found for this video',
+        count: 0
+      });
     }
     
     // Update video with recent comments summary
@@ -378,7 +898,7 @@ app.post('/api/videos/:videoId/refresh-comments', async (req, res) => {
       { 
         $set: { 
           commentCount: comments.length,
-          recentComments: comments.slice(0, 5).map(c => ({
+          recentComments: comments.filter(c => !c.parentId && !c.spam.isSpam).slice(0, 5).map(c => ({
             commentId: c.commentId,
             text: c.text,
             authorName: c.authorName,
@@ -392,11 +912,13 @@ app.post('/api/videos/:videoId/refresh-comments', async (req, res) => {
     res.json({
       success: true,
       message: 'Comments refreshed successfully',
-      count: savedComments.length
+      count: comments.length,
+      replies: comments.filter(c => c.parentId).length,
+      spam: comments.filter(c => c.spam.isSpam).length
     });
   } catch (error) {
     console.error('Error refreshing comments:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error instanceof quota.QuotaExceededError ? 429 : 500).json({ success: false, error: error.message });
   }
 });
 
@@ -410,27 +932,42 @@ app.get('/api/dashboard', async (req, res) => {
     
     // Get ad styles distribution
     const adStyles = await AdInsight.aggregate([
-      { $match: { adStyle: { $ne: null } } },
+      { $match: { isLatest: true, adStyle: { $ne: null } } },
       { $group: { _id: '$adStyle', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
     ]);
     
     // Get top performing brands
     const topBrands = await AdInsight.aggregate([
-      { $match: { detectedBrands: { $ne: [] } } },
+      { $match: { isLatest: true, detectedBrands: { $ne: [] } } },
       { $unwind: '$detectedBrands' },
       { $group: { _id: '$detectedBrands', count: { $sum: 1 }, avgEffectiveness: { $avg: '$adEffectiveness' } } },
       { $sort: { count: -1 } },
       { $limit: 10 }
     ]);
     
+    // Get call-to-action and placement distributions from the structured AI analysis
+    const ctaTypes = await AdInsight.aggregate([
+      { $match: { isLatest: true, 'aiAnalysis.ctaTypes': { $ne: [] } } },
+      { $unwind: '$aiAnalysis.ctaTypes' },
+      { $group: { _id: '$aiAnalysis.ctaTypes', count: { $sum: 1 }, avgEffectiveness: { $avg: '$adEffectiveness' } } },
+      { $sort: { count: -1 } }
+    ]);
+    
+    const placements = await AdInsight.aggregate([
+      { $match: { isLatest: true, 'aiAnalysis.placement': { $ne: null } } },
+      { $group: { _id: '$aiAnalysis.placement', count: { $sum: 1 }, avgEffectiveness: { $avg: '$adEffectiveness' } } },
+      { $sort: { count: -1 } }
+    ]);
+    
     // Get recent insights
-    const recentInsights = await AdInsight.find()
+    const recentInsights = await AdInsight.find({ isLatest: true })
       .sort({ generatedAt: -1 })
       .limit(5);
     
     // Calculate overall sentiment
     const sentimentStats = await AdInsight.aggregate([
+      { $match: { isLatest: true } },
       { 
         $group: { 
           _id: null, 
@@ -452,6 +989,8 @@ app.get('/api/dashboard', async (req, res) => {
         },
         adStyles,
         topBrands,
+        ctaTypes,
+        placements,
         sentiment: sentimentStats[0] || { avgPositive: 0, avgNegative: 0, avgNeutral: 0 },
         recentInsights
       }
@@ -462,43 +1001,74 @@ app.get('/api/dashboard', async (req, res) => {
   }
 });
 
+/**
+ * Parse the limit and date cutoff options shared by the fetch endpoints
+ * With a publishedAfter cutoff and no maxResults, paging continues up to the configured cap
+ * @param {Object} query - Request query parameters
+ * @returns {Object} { maxResults, publishedAfter } or { error }
+ */
+function parseFetchOptions(query) {
+  let publishedAfter = null;
+  
+  if (query.publishedAfter) {
+    publishedAfter = new Date(query.publishedAfter);
+    if (isNaN(publishedAfter.getTime())) {
+      return { error: 'Invalid publishedAfter date. Use an ISO date such as 2025-01-01' };
+    }
+  }
+  
+  const maxResults = parseInt(query.maxResults) || (publishedAfter ? null : 50);
+  
+  return { maxResults, publishedAfter };
+}
+
 // Endpoint to fetch videos from a specific channel
-app.post('/api/fetch/channel/:channelId', async (req, res) => {
+app.post('/api/fetch/channel/:channelId', quota.nonCritical, async (req, res) => {
   try {
     const { channelId } = req.params;
-    const maxResults = parseInt(req.query.maxResults) || 50;
+    const { maxResults, publishedAfter, error } = parseFetchOptions(req.query);
     
-    const videos = await youtubeService.fetchVideosFromChannel(channelId, maxResults);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const videos = await youtubeService.fetchVideosFromChannel(channelId, maxResults, { publishedAfter });
     
     res.json({
       success: true,
       channelId,
+      publishedAfter,
       count: videos.length,
       message: `Successfully fetched ${videos.length} videos from channel`
     });
   } catch (error) {
     console.error(`Error fetching videos from channel ${req.params.channelId}:`, error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error instanceof quota.QuotaExceededError ? 429 : 500).json({ success: false, error: error.message });
   }
 });
 
 // Endpoint to search for videos by keyword
-app.post('/api/fetch/search/:keyword', async (req, res) => {
+app.post('/api/fetch/search/:keyword', quota.nonCritical, async (req, res) => {
   try {
     const { keyword } = req.params;
-    const maxResults = parseInt(req.query.maxResults) || 50;
+    const { maxResults, publishedAfter, error } = parseFetchOptions(req.query);
     
-    const videos = await youtubeService.searchVideos(keyword, maxResults);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const videos = await youtubeService.searchVideos(keyword, maxResults, { publishedAfter });
     
     res.json({
       success: true,
       keyword,
+      publishedAfter,
       count: videos.length,
       message: `Successfully fetched ${videos.length} videos matching "${keyword}"`
     });
   } catch (error) {
     console.error(`Error searching videos for keyword ${req.params.keyword}:`, error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error instanceof quota.QuotaExceededError ? 429 : 500).json({ success: false, error: error.message });
   }
 });
 
@@ -516,15 +1086,31 @@ app.get('/api/compare/channels', async (req, res) => {
     
     const comparisons = [];
     
+    // Channel profiles give titles even for channels without stored videos
+    const profiles = new Map((await Channel.find({ channelId: { $in: channelIds } }))
+      .map(channel => [channel.channelId, channel]));
+    const missingProfiles = channelIds.filter(channelId => !profiles.has(channelId));
+    if (missingProfiles.length > 0) {
+      try {
+        for (const [channelId, channel] of await youtubeService.refreshChannelProfiles(missingProfiles)) {
+          profiles.set(channelId, channel);
+        }
+      } catch (error) {
+        console.error('Error fetching channel profiles for comparison:', error.message);
+      }
+    }
+    
     for (const channelId of channelIds) {
       // Get channel data
       const channelVideos = await Video.find({ channelId });
-      const channelInsights = await AdInsight.find({ channelId });
+      const channelInsights = await AdInsight.find({ channelId, isLatest: true });
+      const profile = profiles.get(channelId);
       
       if (channelVideos.length === 0) {
         comparisons.push({
           channelId,
-          channelTitle: 'Unknown',
+          channelTitle: profile ? profile.title : 'Unknown',
+          subscriberCount: profile ? profile.subscriberCount : null,
           videoCount: 0,
           adData: {
             hasAds: false,
@@ -576,7 +1162,8 @@ app.get('/api/compare/channels', async (req, res) => {
       
       comparisons.push({
         channelId,
-        channelTitle: channelVideos[0]?.channelTitle || 'Unknown',
+        channelTitle: profile?.title || channelVideos[0]?.channelTitle || 'Unknown',
+        subscriberCount: profile ? profile.subscriberCount : null,
         videoCount,
         adData: {
           hasAds: videosWithAds > 0,
@@ -645,7 +1232,7 @@ app.get('/api/trends/ad-metrics', async (req, res) => {
         metricField = '$sentimentAnalysis.averageSentiment';
         break;
       case 'engagement':
-        metricField = '$engagement.overallEngagementRate';
+        metricField = '$engagementRate';
         break;
       default:
         return res.status(400).json({ 
@@ -656,7 +1243,7 @@ app.get('/api/trends/ad-metrics', async (req, res) => {
     
     // Aggregate the data
     const trendData = await AdInsight.aggregate([
-      { $match: { generatedAt: timeRange } },
+      { $match: { generatedAt: timeRange, isLatest: true } },
       { 
         $group: {
           _id: timeFormat,
@@ -687,17 +1274,793 @@ app.get('/api/trends/ad-metrics', async (req, res) => {
   }
 });
 
+// Watchlist routes: monitored channels and search keywords
+const WATCHLIST_TYPES = [
+  { path: 'channels', type: 'channel', field: 'channelId' },
+  { path: 'keywords', type: 'keyword', field: 'keyword' }
+];
+
+/**
+ * Validate watch target options from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} { update } with the allowed fields, or { error }
+ */
+function parseWatchTargetOptions(body) {
+  const update = {};
+  
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean' };
+    }
+    update.enabled = body.enabled;
+  }
+  
+  if (body.maxResults !== undefined && body.maxResults !== null) {
+    const maxResults = parseInt(body.maxResults);
+    if (!maxResults || maxResults < 1) {
+      return { error: 'maxResults must be a positive number' };
+    }
+    update.maxResults = maxResults;
+  } else if (body.maxResults === null) {
+    update.maxResults = null;
+  }
+  
+  if (body.schedule !== undefined) {
+    if (body.schedule && !cron.validate(body.schedule)) {
+      return { error: `Invalid cron schedule: ${body.schedule}` };
+    }
+    update.schedule = body.schedule || null;
+  }
+  
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+      return { error: 'tags must be an array of strings' };
+    }
+    update.tags = body.tags;
+  }
+  
+  if (body.label !== undefined) {
+    update.label = body.label;
+  }
+  
+  return { update };
+}
+
+for (const { path, type, field } of WATCHLIST_TYPES) {
+  // List watch targets of this type
+  app.get(`/api/watchlist/${path}`, async (req, res) => {
+    try {
+      const filter = { type };
+      if (req.query.enabled !== undefined) filter.enabled = req.query.enabled === 'true';
+      if (req.query.tag) filter.tags = req.query.tag;
+      
+      const targets = await WatchTarget.find(filter).sort({ createdAt: 1 });
+      
+      res.json({ success: true, count: targets.length, targets });
+    } catch (error) {
+      console.error(`Error fetching watchlist ${path}:`, error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+  
+  // Get a single watch target
+  app.get(`/api/watchlist/${path}/:value`, async (req, res) => {
+    try {
+      const target = await WatchTarget.findOne({ type, value: req.params.value });
+      
+      if (!target) {
+        return res.status(404).json({ success: false, message: 'Watch target not found' });
+      }
+      
+      res.json({ success: true, target });
+    } catch (error) {
+      console.error(`Error fetching watchlist ${type}:`, error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+  
+  // Add a watch target
+  app.post(`/api/watchlist/${path}`, async (req, res) => {
+    try {
+      const value = typeof req.body[field] === 'string' ? req.body[field].trim() : '';
+      
+      if (!value) {
+        return res.status(400).json({ success: false, error: `Missing required field: ${field}` });
+      }
+      
+      const { update, error } = parseWatchTargetOptions(req.body);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+      
+      const existing = await WatchTarget.findOne({ type, value });
+      if (existing) {
+        return res.status(409).json({ success: false, error: `${field} is already on the watchlist`, target: existing });
+      }
+      
+      const target = await WatchTarget.create({ type, value, ...update });
+      watchlist.scheduleTarget(target);
+      
+      res.status(201).json({ success: true, target });
+    } catch (error) {
+      console.error(`Error adding watchlist ${type}:`, error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+  
+  // Update a watch target's options
+  app.patch(`/api/watchlist/${path}/:value`, async (req, res) => {
+    try {
+      const { update, error } = parseWatchTargetOptions(req.body);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+      
+      const target = await WatchTarget.findOneAndUpdate(
+        { type, value: req.params.value },
+        { $set: update },
+        { new: true }
+      );
+      
+      if (!target) {
+        return res.status(404).json({ success: false, message: 'Watch target not found' });
+      }
+      
+      watchlist.scheduleTarget(target);
+      
+      res.json({ success: true, target });
+    } catch (error) {
+      console.error(`Error updating watchlist ${type}:`, error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+  
+  // Remove a watch target (stored videos are kept)
+  app.delete(`/api/watchlist/${path}/:value`, async (req, res) => {
+    try {
+      const target = await WatchTarget.findOneAndDelete({ type, value: req.params.value });
+      
+      if (!target) {
+        return res.status(404).json({ success: false, message: 'Watch target not found' });
+      }
+      
+      watchlist.unscheduleTarget(target._id);
+      
+      res.json({ success: true, message: 'Watch target removed', target });
+    } catch (error) {
+      console.error(`Error removing watchlist ${type}:`, error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+}
+
+/**
+ * Validate brand dictionary fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} { update } with the allowed fields, or { error }
+ */
+function parseBrandFields(body) {
+  const update = {};
+  
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name must be a non-empty string' };
+    }
+    update.name = body.name.trim();
+  }
+  
+  for (const field of ['aliases', 'domains', 'promoCodePatterns']) {
+    if (body[field] !== undefined) {
+      if (!Array.isArray(body[field]) || body[field].some(value => typeof value !== 'string')) {
+        return { error: `${field} must be an array of strings` };
+      }
+      update[field] = body[field].map(value => value.trim()).filter(Boolean);
+    }
+  }
+  
+  for (const pattern of update.promoCodePatterns || []) {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      return { error: `Invalid promo code pattern: ${pattern}` };
+    }
+  }
+  
+  if (body.category !== undefined) update.category = body.category;
+  if (body.enabled !== undefined) update.enabled = Boolean(body.enabled);
+  
+  return { update };
+}
+
+// List brands in the brand dictionary
+app.get('/api/brand-dictionary', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.category) filter.category = req.query.category;
+    
+    const dictionary = await Brand.find(filter).sort({ name: 1 });
+    
+    res.json({ success: true, count: dictionary.length, brands: dictionary });
+  } catch (error) {
+    console.error('Error fetching brand dictionary:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add a brand to the brand dictionary
+app.post('/api/brand-dictionary', async (req, res) => {
+  try {
+    const { update, error } = parseBrandFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    if (!update.name) {
+      return res.status(400).json({ success: false, error: 'Missing required field: name' });
+    }
+    
+    const existing = await Brand.findOne({ name: update.name });
+    if (existing) {
+      return res.status(409).json({ success: false, error: 'Brand already exists', brand: existing });
+    }
+    
+    const brand = await Brand.create(update);
+    brands.invalidateBrandCache();
+    
+    res.status(201).json({ success: true, brand });
+  } catch (error) {
+    console.error('Error adding brand:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a brand from the brand dictionary
+app.get('/api/brand-dictionary/:brandId', async (req, res) => {
+  try {
+    const brand = mongoose.isValidObjectId(req.params.brandId)
+      ? await Brand.findById(req.params.brandId)
+      : null;
+    
+    if (!brand) {
+      return res.status(404).json({ success: false, message: 'Brand not found' });
+    }
+    
+    res.json({ success: true, brand });
+  } catch (error) {
+    console.error('Error fetching brand:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a brand in the brand dictionary
+app.patch('/api/brand-dictionary/:brandId', async (req, res) => {
+  try {
+    const { update, error } = parseBrandFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const brand = mongoose.isValidObjectId(req.params.brandId)
+      ? await Brand.findByIdAndUpdate(req.params.brandId, { $set: update }, { new: true })
+      : null;
+    
+    if (!brand) {
+      return res.status(404).json({ success: false, message: 'Brand not found' });
+    }
+    
+    brands.invalidateBrandCache();
+    
+    res.json({ success: true, brand });
+  } catch (error) {
+    console.error('Error updating brand:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove a brand from the brand dictionary
+app.delete('/api/brand-dictionary/:brandId', async (req, res) => {
+  try {
+    const brand = mongoose.isValidObjectId(req.params.brandId)
+      ? await Brand.findByIdAndDelete(req.params.brandId)
+      : null;
+    
+    if (!brand) {
+      return res.status(404).json({ success: false, message: 'Brand not found' });
+    }
+    
+    brands.invalidateBrandCache();
+    
+    res.json({ success: true, message: 'Brand removed', brand });
+  } catch (error) {
+    console.error('Error removing brand:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Parse the publication date range of a brand analytics or report request
+ * @param {Object} query - Request query parameters
+ * @returns {Object} { range } with optional from and to dates, or { error }
+ */
+function parseDateRange(query) {
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    return { error: 'Invalid from/to date. Use an ISO date such as 2025-01-01' };
+  }
+  
+  if (from && to && from > to) {
+    return { error: 'from must not be after to' };
+  }
+  
+  return { range: { from, to } };
+}
+
+// List brands seen in sponsored videos with sponsorship counts, effectiveness and share of voice
+app.get('/api/brands', async (req, res) => {
+  try {
+    const { range, error } = parseDateRange(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    const brandStats = await brandAnalytics.listBrands({ ...range, category: req.query.category });
+    
+    res.json({
+      success: true,
+      brands: brandStats.slice(skip, skip + limit),
+      pagination: {
+        total: brandStats.length,
+        page,
+        pages: Math.ceil(brandStats.length / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching brand analytics:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a brand's sponsorships over time, average effectiveness, sentiment and share of voice
+app.get('/api/brands/:brand', async (req, res) => {
+  try {
+    const { range, error } = parseDateRange(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const interval = req.query.interval || 'month';
+    if (!brandAnalytics.TIMELINE_INTERVALS.includes(interval)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Invalid interval. Supported values: ${brandAnalytics.TIMELINE_INTERVALS.join(', ')}` 
+      });
+    }
+    
+    const brand = await brandAnalytics.getBrandAnalytics(req.params.brand, { ...range, interval });
+    if (!brand) {
+      return res.status(404).json({ success: false, message: 'Brand not found' });
+    }
+    
+    res.json({ success: true, brand });
+  } catch (error) {
+    console.error('Error fetching brand analytics:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a brand's sponsored videos with their latest ad insights
+app.get('/api/brands/:brand/videos', async (req, res) => {
+  try {
+    const { range, error } = parseDateRange(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    
+    const result = await brandAnalytics.listBrandVideos(req.params.brand, { ...range, page, limit });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Brand not found' });
+    }
+    
+    res.json({
+      success: true,
+      brand: result.brand,
+      videos: result.videos,
+      pagination: {
+        total: result.total,
+        page,
+        pages: Math.ceil(result.total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching brand videos:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the creators a brand sponsored with how their sponsored videos performed
+app.get('/api/brands/:brand/creators', async (req, res) => {
+  try {
+    const { range, error } = parseDateRange(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const result = await brandAnalytics.listBrandCreators(req.params.brand, range);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Brand not found' });
+    }
+    
+    res.json({ success: true, brand: result.brand, count: result.creators.length, creators: result.creators });
+  } catch (error) {
+    console.error('Error fetching brand creators:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Report formats of the share-of-voice report
+const REPORT_FORMATS = ['json', 'csv'];
+
+// Get which brands sponsor videos in a keyword space or video category, with their share of
+// sponsored videos and views and how it changed week over week
+app.get('/api/reports/share-of-voice', async (req, res) => {
+  try {
+    const { keyword, categoryId } = req.query;
+    const format = req.query.format || 'json';
+    
+    if (!keyword && !categoryId) {
+      return res.status(400).json({ success: false, error: 'Missing required parameter: keyword or categoryId' });
+    }
+    
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Invalid format. Supported values: ${REPORT_FORMATS.join(', ')}` 
+      });
+    }
+    
+    const { range, error } = parseDateRange(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    // Reports without a to date run up to now
+    if (range.from && !range.to && range.from > new Date()) {
+      return res.status(400).json({ success: false, error: 'from must not be in the future' });
+    }
+    
+    const report = await shareOfVoice.getShareOfVoiceReport({ keyword, categoryId, ...range });
+    
+    if (format === 'csv') {
+      const name = (keyword || `category-${categoryId}`).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+      res.attachment(`share-of-voice-${name}.csv`);
+      return res.type('text/csv').send(shareOfVoice.reportToCsv(report));
+    }
+    
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Error generating share-of-voice report:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Parse a prompt template or scoring profile version from a route parameter
+ * @param {string} value - Route parameter value
+ * @returns {number|null} Version number, or null when it is not a positive integer
+ */
+function parseVersionParam(value) {
+  return /^[1-9]\d*$/.test(value) ? parseInt(value) : null;
+}
+
+// List prompt templates with their active and latest versions
+app.get('/api/prompt-templates', async (req, res) => {
+  try {
+    const versions = await PromptTemplate.find()
+      .sort({ name: 1, version: -1 })
+      .select('name version isActive description createdAt');
+    
+    const templates = [];
+    for (const version of versions) {
+      let template = templates.find(t => t.name === version.name);
+      if (!template) {
+        template = { name: version.name, latestVersion: version.version, activeVersion: null, versionCount: 0 };
+        templates.push(template);
+      }
+      template.versionCount++;
+      if (version.isActive) template.activeVersion = version.version;
+    }
+    
+    res.json({ success: true, templates, variables: prompts.PROMPT_VARIABLES });
+  } catch (error) {
+    console.error('Error fetching prompt templates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get all versions of a prompt template
+app.get('/api/prompt-templates/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    const versions = await PromptTemplate.find({ name }).sort({ version: -1 });
+    if (versions.length === 0) {
+      return res.status(404).json({ success: false, message: 'Prompt template not found' });
+    }
+    
+    res.json({ success: true, name, versions });
+  } catch (error) {
+    console.error('Error fetching prompt template:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a new version of a prompt template (optionally activating it)
+app.post('/api/prompt-templates/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { body, description, activate } = req.body || {};
+    
+    if (typeof body !== 'string' || body.trim() === '') {
+      return res.status(400).json({ success: false, error: 'Missing required field: body' });
+    }
+    
+    const unknown = prompts.findUnknownPlaceholders(body);
+    if (unknown.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unknown placeholders: ${unknown.join(', ')}. Available: ${prompts.PROMPT_VARIABLES.join(', ')}` 
+      });
+    }
+    
+    const template = await prompts.createTemplateVersion(name, {
+      body,
+      description,
+      activate: activate === true
+    });
+    if (errors) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+    
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    console.error('Error creating prompt template version:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Preview a prompt template version against a stored video
+// With run=true the prompt is also sent to the LLM; the result is not saved to reports or the LLM cache
+app.post('/api/prompt-templates/:name/versions/:version/preview', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const version = parseVersionParam(req.params.version);
+    if (version === null) {
+      return res.status(400).json({ success: false, error: `Invalid version: ${req.params.version}` });
+    }
+    const videoId = (req.body && req.body.videoId) || req.query.videoId;
+    
+    if (!videoId) {
+      return res.status(400).json({ success: false, error: 'Missing required parameter: videoId' });
+    }
+    
+    const llmOptions = parseLlmOptions(req.query);
+    if (llmOptions.error) {
+      return res.status(400).json({ success: false, error: llmOptions.error });
+    }
+    
+    const template = await PromptTemplate.findOne({ name, version });
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Prompt template version not found' });
+    }
+    
+    const video = await Video.findOne({ videoId });
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+    
+    const comments = await Comment.find({ videoId })
+      .sort({ likeCount: -1 })
+      .limit(config.prompts.commentSampleSize);
+    
+    const prompt = prompts.renderPrompt(template.body, prompts.buildPromptVariables(video, comments));
+    
+    let analysis = null;
+    if (req.query.run === 'true') {
+      analysis = await youtubeService.analyzeVideoContent(video, comments, {
+        ...llmOptions.options,
+        force: req.query.force === 'true',
+        cacheResponse: false,
+        template: { name: template.name, version: template.version, body: template.body }
+      });
+    }
+    
+    res.json({ success: true, name, version, videoId, prompt, analysis });
+  } catch (error) {
+    console.error('Error previewing prompt template:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Make a prompt template version the active one
+app.post('/api/prompt-templates/:name/versions/:version/activate', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const version = parseVersionParam(req.params.version);
+    if (version === null) {
+      return res.status(400).json({ success: false, error: `Invalid version: ${req.params.version}` });
+    }
+    
+    const template = await prompts.activateTemplateVersion(name, version);
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Prompt template version not found' });
+    }
+    
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Error activating prompt template version:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List scoring profiles with their active and latest versions
+app.get('/api/scoring-profiles', async (req, res) => {
+  try {
+    const versions = await ScoringProfile.find()
+      .sort({ name: 1, version: -1 })
+      .select('name version isActive description createdAt');
+    
+    const profiles = [];
+    for (const version of versions) {
+      let profile = profiles.find(p => p.name === version.name);
+      if (!profile) {
+        profile = { name: version.name, latestVersion: version.version, activeVersion: null, versionCount: 0 };
+        profiles.push(profile);
+      }
+      profile.versionCount++;
+      if (version.isActive) profile.activeVersion = version.version;
+    }
+    
+    res.json({
+      success: true,
+      profiles,
+      defaultProfile: config.scoring.defaultProfile,
+      components: scoring.SCORE_COMPONENTS
+    });
+  } catch (error) {
+    console.error('Error fetching scoring profiles:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get all versions of a scoring profile
+app.get('/api/scoring-profiles/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    const versions = await ScoringProfile.find({ name }).sort({ version: -1 });
+    if (versions.length === 0) {
+      return res.status(404).json({ success: false, message: 'Scoring profile not found' });
+    }
+    
+    res.json({ success: true, name, versions });
+  } catch (error) {
+    console.error('Error fetching scoring profile:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a new version of a scoring profile (optionally activating it)
+// Fields that are not given are copied from the latest version
+app.post('/api/scoring-profiles/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { weights, engagementWeights, baselineWeights, minBaselineVideos, description, activate } = req.body || {};
+    
+    const { profile, errors } = await scoring.createProfileVersion(name, {
+      weights,
+      engagementWeights,
+      baselineWeights,
+      minBaselineVideos,
+      description,
+      activate: activate === true
+    });
+    if (errors) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+    
+    res.status(201).json({ success: true, profile });
+  } catch (error) {
+    console.error('Error creating scoring profile version:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Make a scoring profile version the active one
+app.post('/api/scoring-profiles/:name/versions/:version/activate', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const version = parseVersionParam(req.params.version);
+    if (version === null) {
+      return res.status(400).json({ success: false, error: `Invalid version: ${req.params.version}` });
+    }
+    
+    const profile = await scoring.activateProfileVersion(name, version);
+    if (!profile) {
+      return res.status(404).json({ success: false, message: 'Scoring profile version not found' });
+    }
+    
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error('Error activating scoring profile version:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get incremental sync state for all channels
+app.get('/api/sync/channels', async (req, res) => {
+  try {
+    const syncStates = await ChannelSyncState.find().sort({ lastRunAt: -1 });
+    
+    res.json({ success: true, count: syncStates.length, channels: syncStates });
+  } catch (error) {
+    console.error('Error fetching channel sync state:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get YouTube API quota spend by operation and by caller
+app.get('/api/quota', async (req, res) => {
+  try {
+    const day = req.query.date || quota.getQuotaDay();
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid date. Use the YYYY-MM-DD format' 
+      });
+    }
+    
+    const report = await quota.getQuotaReport(day);
+    
+    res.json({ success: true, quota: report });
+  } catch (error) {
+    console.error('Error fetching quota usage:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Schedule regular data collection (daily at midnight)
+// Channels are synced incrementally, so only uploads since the last run are fetched
 cron.schedule('0 0 * * *', async () => {
   console.log('Running daily video fetch job...');
   try {
-    const videos = await youtubeService.fetchAllVideos();
+    const videos = await quota.runWithCaller('cron:daily-fetch', () => youtubeService.fetchAllVideos());
     console.log(`Daily job: Fetched ${videos.length} videos`);
   } catch (error) {
     console.error('Error in daily video fetch job:', error);
   }
 });
 
+// Schedule refresh of stats on previously fetched videos (slower than the daily sync)
+cron.schedule(config.sync.statsRefreshSchedule, async () => {
+  console.log('Running video stats refresh job...');
+  try {
+    const result = await quota.runWithCaller('cron:stats-refresh', () => youtubeService.refreshVideoStats());
+    console.log(`Stats refresh job: Updated ${result.updated} of ${result.checked} videos`);
+  } catch (error) {
+    console.error('Error in video stats refresh job:', error);
+  }
+});
+
 // Schedule weekly ad insights generation (every Sunday at 2am)
 cron.schedule('0 2 * * 0', async () => {
   console.log('Running weekly ad insights job...');
@@ -706,11 +2069,11 @@ cron.schedule('0 2 * * 0', async () => {
     const channels = await Video.distinct('channelId');
     
     for (const channelId of channels) {
-      console.log(`Processing channel: ${channelId}`);
-      await youtubeService.generateChannelAdInsights(channelId);
+      const job = await jobQueue.enqueueJob('channel-insights', { channelId }, { source: 'cron' });
+      console.log(`Queued ad insights job ${job._id} for channel: ${channelId}`);
     }
     
-    console.log('Weekly ad insights job completed');
+    console.log(`Weekly ad insights job queued ${channels.length} channel(s)`);
   } catch (error) {
     console.error('Error in weekly ad insights job:', error);
   }
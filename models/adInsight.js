@@ -4,7 +4,7 @@ const AdInsightSchema = new mongoose.Schema({
   videoId: {
     type: String,
     required: true,
-    unique: true
+    index: true
   },
   channelId: {
     type: String,
@@ -21,6 +21,13 @@ const AdInsightSchema = new mongoose.Schema({
   adIndicators: [String],
   detectedBrands: [String],
   adDuration: Number,
+  adSegments: [{
+    start: Number,
+    end: Number,
+    duration: Number,
+    source: String,
+    trigger: String
+  }],
   adStyle: String,
   
   // Metrics
@@ -29,6 +36,25 @@ const AdInsightSchema = new mongoose.Schema({
   commentCount: Number,
   engagementRate: Number,
   adEffectiveness: Number,
+  // Contribution of each scoring component to adEffectiveness, with the baselines used
+  adEffectivenessBreakdown: {
+    components: [{
+      component: String, // 'engagement', 'reach', 'sentiment' or 'adReception'
+      available: Boolean, // False when the component had no data and was left out
+      value: mongoose.Schema.Types.Mixed, // Raw input, e.g. the weighted engagement rate
+      baseline: Number, // Blended channel/category baseline the value was compared to
+      normalization: String, // 'baseline' or 'absolute'
+      score: Number, // 0-100
+      weight: Number, // Weight in the profile
+      effectiveWeight: Number, // Share of the weight of the available components
+      contribution: Number // Points added to adEffectiveness (score * effectiveWeight)
+    }],
+    baselines: Object // { channel, category } medians and video counts
+  },
+  scoringProfile: {
+    name: String,
+    version: Number // 0 when the built-in profile was used
+  },
   
   // Sentiment analysis
   sentimentAnalysis: {
@@ -37,17 +63,74 @@ const AdInsightSchema = new mongoose.Schema({
     negativePercentage: Number,
     neutralPercentage: Number,
     totalComments: Number,
-    keywordSentiment: Object
+    analyzedComments: Number, // Comments in languages with a sentiment model
+    unsupportedComments: Number,
+    replyComments: Number,
+    includesReplies: Boolean, // Whether replies were counted or only top-level comments
+    spamComments: Number, // Comments flagged as spam or bot comments
+    includesSpam: Boolean,
+    languageBreakdown: Object, // Sentiment by language code
+    aspectSentiment: Object // Sentiment of clauses about the sponsor and the ad read
+  },
+  brandSentiment: [{
+    brand: String,
+    count: Number, // Comment clauses mentioning the brand
+    averageSentiment: Number,
+    positivePercentage: Number,
+    negativePercentage: Number,
+    neutralPercentage: Number
+  }],
+  adAnnoyance: {
+    commentCount: Number, // Comments with at least one annoyance indicator
+    percentage: Number,
+    indicators: Object // Count per indicator: skip, sponsorblock, tooLong, tooMany, annoying
   },
   
   // AI Analysis
-  aiInsights: String,
+  aiInsights: String, // Summary from the structured analysis, or the raw response if it was invalid
+  aiAnalysis: {
+    summary: String,
+    adFormat: String, // 'long-form', 'short-form' or 'none'
+    narrativeStyle: String,
+    ctaTypes: [String],
+    brands: [{
+      name: String,
+      confidence: Number // 0-1
+    }],
+    placement: String, // 'pre-roll', 'mid-roll', 'post-roll', ...
+    audienceReaction: String,
+    recommendations: [String]
+  },
+  aiAnalysisStatus: String, // 'valid', 'repaired', 'invalid' or 'failed'
+  llmProvider: String, // 'gemini', 'openai', 'local' or 'fixture'
+  llmModel: String,
+  llmCacheHit: Boolean, // Analysis reused from the LLM response cache
+  promptTemplate: {
+    name: String,
+    version: Number // 0 when the built-in prompt was used
+  },
   
   // Report generation
   generatedAt: {
     type: Date,
     default: Date.now
+  },
+  
+  // Versioning (one document per generated report)
+  version: {
+    type: Number,
+    required: true,
+    default: 1
+  },
+  isLatest: {
+    type: Boolean,
+    default: true,
+    index: true
   }
 }, { timestamps: true });
 
+AdInsightSchema.index({ videoId: 1, version: -1 }, { unique: true });
+AdInsightSchema.index({ isLatest: 1, 'aiAnalysis.ctaTypes': 1 });
+AdInsightSchema.index({ isLatest: 1, 'aiAnalysis.placement': 1 });
+
 module.exports = mongoose.model('AdInsight', AdInsightSchema);
\ No newline at end of file
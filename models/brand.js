@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const BrandSchema = new mongoose.Schema({
+  name: {
+    type: String, // Canonical brand name used in reports
+    required: true,
+    unique: true,
+    trim: true
+  },
+  aliases: [String], // Other spellings, e.g. 'Nord VPN'
+  domains: [String], // e.g. 'nordvpn.com'
+  promoCodePatterns: [String], // Regular expressions matching the brand's promo codes
+  category: String,
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Brand', BrandSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const CaptionSchema = new mongoose.Schema({
+  videoId: {
+    type: String,
+    required: true
+  },
+  language: {
+    type: String,
+    default: 'en'
+  },
+  format: String, // 'srt', 'vtt' or 'cues'
+  
+  // Parsed caption track
+  cues: [{
+    _id: false,
+    start: Number, // Seconds
+    end: Number,
+    text: String
+  }],
+  
+  // Sponsor reads located in the track
+  sponsorSegments: [{
+    _id: false,
+    start: Number,
+    end: Number,
+    duration: Number,
+    source: String,
+    trigger: String,
+    excerpt: String
+  }],
+  processedAt: Date
+}, { timestamps: true });
+
+CaptionSchema.index({ videoId: 1, language: 1 }, { unique: true });
+
+module.exports = mongoose.model('Caption', CaptionSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const ChannelSchema = new mongoose.Schema({
+  channelId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: String,
+  description: String,
+  customUrl: String, // e.g. '@handle'
+  publishedAt: Date,
+  thumbnailUrl: String,
+  country: String,
+  defaultLanguage: String,
+  keywords: [String],
+
+  // Statistics from channels.list
+  subscriberCount: Number, // Rounded by YouTube; null when hidden
+  hiddenSubscriberCount: Boolean,
+  viewCount: Number,
+  videoCount: Number,
+
+  // Topics from topicDetails
+  topics: [String], // Readable names, e.g. 'Video game culture'
+  topicCategories: [String], // Wikipedia URLs as returned by the API
+
+  uploadsPlaylistId: String,
+
+  // Computed from the channel's stored videos
+  uploadCadence: {
+    uploadsPerWeek: Number,
+    averageDaysBetweenUploads: Number,
+    lastUploadAt: Date,
+    sampleSize: Number // Uploads the cadence was computed from
+  },
+
+  profileUpdatedAt: Date
+}, { timestamps: true });
+
+ChannelSchema.index({ subscriberCount: -1 });
+ChannelSchema.index({ country: 1 });
+ChannelSchema.index({ topics: 1 });
+
+module.exports = mongoose.model('Channel', ChannelSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const ChannelSyncStateSchema = new mongoose.Schema({
+  channelId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  
+  // Newest upload seen so far; the next sync stops paging at this point
+  lastPublishedAt: Date,
+  
+  // Run history
+  lastRunAt: Date,
+  lastSuccessAt: Date,
+  lastFetchedCount: Number,
+  lastError: String,
+  lastErrorAt: Date
+}, { timestamps: true });
+
+module.exports = mongoose.model('ChannelSyncState', ChannelSyncStateSchema);
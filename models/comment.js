@@ -11,6 +11,17 @@ const CommentSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Thread structure: top-level comments have no parentId and depth 0, replies depth 1
+  parentId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  replyCount: Number,
   text: {
     type: String,
     required: true
@@ -25,10 +36,23 @@ const CommentSchema = new mongoose.Schema({
   sentiment: {
     score: Number,
     comparative: Number,
-    classification: String, // 'positive', 'negative', or 'neutral'
+    classification: String, // 'positive', 'negative', 'neutral' or 'unsupported' (no model for the language)
+    language: String, // Detected language code, 'und' if undetermined
     keywords: [String]
   },
   
+  // Spam and bot detection
+  spam: {
+    score: Number, // 0-1
+    isSpam: Boolean,
+    reasons: [String] // 'duplicate', 'links', 'scamPhrase', 'authorRepetition', 'emojiFlood'
+  },
+  // Hash of the normalized text, to find copies posted on other videos
+  textHash: {
+    type: String,
+    index: true
+  },
+  
   // Ad-related indicators
   adRelated: {
     isAdRelated: Boolean,
@@ -37,4 +61,6 @@ const CommentSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+CommentSchema.index({ videoId: 1, 'spam.isSpam': 1 });
+
 module.exports = mongoose.model('Comment', CommentSchema);
\ No newline at end of file
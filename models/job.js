@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const JobItemSchema = new mongoose.Schema({
+  videoId: {
+    type: String,
+    required: true
+  },
+  title: String,
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  cacheHit: Boolean, // AI analysis reused from the LLM response cache
+  savedLlmCalls: Number,
+  completedAt: Date
+}, { _id: false });
+
+const JobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  payload: {
+    type: Object,
+    default: {}
+  },
+
+  // Per-video results (filled in when the job first runs)
+  items: [JobItemSchema],
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // LLM response cache usage across succeeded items
+  summary: {
+    cacheHits: { type: Number, default: 0 },
+    cacheMisses: { type: Number, default: 0 },
+    cacheHitRate: { type: Number, default: 0 }, // Percentage
+    savedLlmCalls: { type: Number, default: 0 }
+  },
+
+  // Retry handling for the job as a whole
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: Number,
+  runAfter: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+
+  // Lifecycle
+  source: String, // 'api' or 'cron'
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  heartbeatAt: Date
+}, { timestamps: true });
+
+JobSchema.index({ status: 1, runAfter: 1 });
+JobSchema.index({ 'payload.channelId': 1, createdAt: -1 });
+
+module.exports = mongoose.model('Job', JobSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const LlmCacheEntrySchema = new mongoose.Schema({
+  // Hash of the prompt inputs (video content, sampled comments, template version, provider and model)
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: String,
+  model: String,
+  promptTemplate: {
+    name: String,
+    version: Number
+  },
+
+  // Validated response
+  value: Object,
+  text: String,
+  repairAttempts: Number,
+
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: Date,
+  expiresAt: Date
+}, { timestamps: true });
+
+// Remove entries once they expire
+LlmCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LlmCacheEntry', LlmCacheEntrySchema);
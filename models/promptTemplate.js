@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const PromptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String, // e.g. 'ad-analysis'
+    required: true,
+    trim: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // Prompt text with {{placeholder}} variables, e.g. {{title}} or {{comments}}
+  body: {
+    type: String,
+    required: true
+  },
+  description: String, // What changed in this version
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  activatedAt: Date
+}, { timestamps: true });
+
+PromptTemplateSchema.index({ name: 1, version: -1 }, { unique: true });
+PromptTemplateSchema.index({ name: 1, isActive: 1 });
+
+module.exports = mongoose.model('PromptTemplate', PromptTemplateSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const QuotaUsageSchema = new mongoose.Schema({
+  day: {
+    type: String, // YYYY-MM-DD in the quota time zone
+    required: true
+  },
+  operation: {
+    type: String, // e.g. 'search.list', 'videos.list'
+    required: true
+  },
+  caller: {
+    type: String, // Route or background task that made the call
+    required: true
+  },
+  units: {
+    type: Number,
+    default: 0
+  },
+  calls: {
+    type: Number,
+    default: 0
+  },
+  blocked: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+QuotaUsageSchema.index({ day: 1, operation: 1, caller: 1 }, { unique: true });
+
+module.exports = mongoose.model('QuotaUsage', QuotaUsageSchema);
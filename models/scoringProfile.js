@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const ScoringProfileSchema = new mongoose.Schema({
+  name: {
+    type: String, // e.g. 'default'
+    required: true,
+    trim: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // Weight of each component in the ad effectiveness score (normalized to sum to 1)
+  weights: {
+    engagement: Number, // Engagement rate vs. channel and category baselines
+    reach: Number, // Views per day since publication vs. baselines
+    sentiment: Number, // Overall comment sentiment
+    adReception: Number // Sentiment toward the sponsor/ad read, less ad annoyance
+  },
+  // Weights of likes and comments in the engagement rate
+  engagementWeights: {
+    likes: Number,
+    comments: Number
+  },
+  // Share of the baseline taken from the channel's own videos vs. the category median
+  baselineWeights: {
+    channel: Number,
+    category: Number
+  },
+  // Videos needed before a baseline is used
+  minBaselineVideos: Number,
+  description: String, // What changed in this version
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  activatedAt: Date
+}, { timestamps: true });
+
+ScoringProfileSchema.index({ name: 1, version: -1 }, { unique: true });
+ScoringProfileSchema.index({ name: 1, isActive: 1 });
+
+module.exports = mongoose.model('ScoringProfile', ScoringProfileSchema);
@@ -17,12 +17,14 @@ const VideoSchema = new mongoose.Schema({
   thumbnailUrl: String,
   source: String, // 'channel' or 'search'
   keyword: String, // For search results
+  searchKeywords: [String], // Every search keyword the video was found by (lowercase)
   
   // Video statistics
   viewCount: Number,
   likeCount: Number,
   commentCount: Number,
   favoriteCount: Number,
+  statsUpdatedAt: Date,
   
   // Video details
   duration: String,
@@ -51,7 +53,35 @@ const VideoSchema = new mongoose.Schema({
     sponsorshipDetails: String,
     adIndicators: [String],
     detectedBrands: [String],
-    adDuration: Number
+    adDuration: Number, // Seconds; measured from transcript segments when captions are available
+    segments: [{
+      start: Number, // Seconds from the start of the video
+      end: Number,
+      duration: Number,
+      source: String, // 'transcript' or 'description'
+      trigger: String, // Phrase that opened the segment
+      excerpt: String
+    }],
+    links: [{
+      url: String, // As written in the description
+      expandedUrl: String, // Final URL when the link used a shortener
+      domain: String,
+      category: String, // 'affiliate', 'sponsor', 'social', 'merch' or 'other'
+      utm: {
+        source: String,
+        medium: String,
+        campaign: String,
+        term: String,
+        content: String
+      },
+      brand: String
+    }],
+    promoCodes: [{
+      code: String,
+      discount: String, // e.g. '20% off'
+      brand: String,
+      context: String // Sentence the code appeared in
+    }]
   },
   
   // Ad insights
@@ -63,7 +93,14 @@ const VideoSchema = new mongoose.Schema({
       negativePercentage: Number,
       neutralPercentage: Number,
       totalComments: Number,
-      keywordSentiment: Object
+      analyzedComments: Number, // Comments in languages with a sentiment model
+      unsupportedComments: Number,
+      replyComments: Number,
+      includesReplies: Boolean, // Whether replies were counted or only top-level comments
+      spamComments: Number, // Comments flagged as spam or bot comments
+      includesSpam: Boolean,
+      languageBreakdown: Object, // Sentiment by language code
+      aspectSentiment: Object // Sentiment of clauses about the sponsor and the ad read
     },
     aiAnalysis: String,
     adStyle: String,
@@ -83,4 +120,6 @@ const VideoSchema = new mongoose.Schema({
   }]
 }, { timestamps: true });
 
+VideoSchema.index({ searchKeywords: 1, publishedAt: -1 });
+
 module.exports = mongoose.model('Video', VideoSchema);
\ No newline at end of file
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const VideoStatsSnapshotSchema = new mongoose.Schema({
+  videoId: {
+    type: String,
+    required: true
+  },
+  channelId: {
+    type: String,
+    index: true
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  // Statistics at capture time
+  viewCount: Number,
+  likeCount: Number,
+  commentCount: Number,
+  favoriteCount: Number,
+  
+  // Engagement metrics computed from this snapshot's statistics
+  engagementMetrics: {
+    likeToViewRatio: Number,
+    commentToViewRatio: Number,
+    overallEngagementRate: Number,
+    adEffectivenessScore: Number
+  }
+}, { timestamps: true });
+
+VideoStatsSnapshotSchema.index({ videoId: 1, capturedAt: 1 });
+
+module.exports = mongoose.model('VideoStatsSnapshot', VideoStatsSnapshotSchema);
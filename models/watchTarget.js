@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const WatchTargetSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['channel', 'keyword'],
+    required: true
+  },
+  value: {
+    type: String, // Channel ID or search keyword
+    required: true,
+    trim: true
+  },
+  label: String,
+  
+  // Fetch options
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  maxResults: Number, // Per-run fetch limit (falls back to the global defaults)
+  schedule: String, // Cron expression; targets without one are fetched by the daily job
+  tags: [String],
+  source: {
+    type: String, // 'config' for seeded targets, 'api' otherwise
+    default: 'api'
+  },
+  
+  // Last run
+  lastFetchedAt: Date,
+  lastFetchCount: Number,
+  lastError: String
+}, { timestamps: true });
+
+WatchTargetSchema.index({ type: 1, value: 1 }, { unique: true });
+
+module.exports = mongoose.model('WatchTarget', WatchTargetSchema);
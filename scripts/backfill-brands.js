@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const youtubeService = require('../services/youtube');
+
+// Re-resolve detected brands on stored videos, the latest ad insights version of each video
+// and comments against the current brand dictionary (older report versions are left as history)
+async function run() {
+  await mongoose.connect(config.mongodbUri);
+  console.log('Connected to MongoDB');
+
+  const result = await youtubeService.backfillDetectedBrands();
+  console.log('Brand backfill completed:', result);
+}
+
+run()
+  .catch(err => {
+    console.error('Brand backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,84 @@
+// Allowed values of the enumerated fields in the structured AI analysis
+const AD_FORMATS = ['long-form', 'short-form', 'none'];
+const NARRATIVE_STYLES = ['integrated', 'dedicated-segment', 'product-placement', 'testimonial', 'none'];
+const CTA_TYPES = ['promo-code', 'link', 'discount', 'free-trial', 'signup', 'download', 'purchase', 'other'];
+const PLACEMENTS = ['pre-roll', 'mid-roll', 'post-roll', 'throughout', 'description-only', 'none'];
+const AUDIENCE_REACTIONS = ['positive', 'neutral', 'negative', 'mixed', 'unknown'];
+
+// Shape of the JSON the model is asked to return, embedded in the prompt
+const ANALYSIS_SCHEMA_DESCRIPTION = `{
+  "summary": string (2-4 sentences on the video's advertising),
+  "adFormat": one of ${AD_FORMATS.map(value => `"${value}"`).join(', ')},
+  "narrativeStyle": one of ${NARRATIVE_STYLES.map(value => `"${value}"`).join(', ')},
+  "ctaTypes": array of ${CTA_TYPES.map(value => `"${value}"`).join(', ')},
+  "brands": array of { "name": string, "confidence": number from 0 to 1 },
+  "placement": one of ${PLACEMENTS.map(value => `"${value}"`).join(', ')},
+  "audienceReaction": one of ${AUDIENCE_REACTIONS.map(value => `"${value}"`).join(', ')},
+  "recommendations": array of strings
+}`;
+
+/**
+ * Validate and normalize a structured ad analysis
+ * Enumerated values are matched case-insensitively; unknown CTA types and empty entries are dropped
+ * @param {Object} value - Parsed JSON
+ * @returns {Object} { valid, errors, value } where value is the normalized analysis
+ */
+function validateAnalysis(value) {
+  const errors = [];
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, errors: ['Response must be a JSON object'], value: null };
+  }
+
+  const normalizeEnum = (field, allowed) => {
+    const normalized = typeof value[field] === 'string' ? value[field].toLowerCase().trim() : null;
+    if (!allowed.includes(normalized)) {
+      errors.push(`${field} must be one of: ${allowed.join(', ')}`);
+      return null;
+    }
+    return normalized;
+  };
+
+  const normalizeArray = field => {
+    if (!Array.isArray(value[field])) {
+      errors.push(`${field} must be an array`);
+      return [];
+    }
+    return value[field];
+  };
+
+  if (typeof value.summary !== 'string' || value.summary.trim() === '') {
+    errors.push('summary must be a non-empty string');
+  }
+
+  const brands = normalizeArray('brands')
+    .filter(brand => brand && typeof brand.name === 'string' && brand.name.trim() !== '')
+    .map(brand => ({
+      name: brand.name.trim(),
+      confidence: Number.isFinite(Number(brand.confidence))
+        ? Math.max(0, Math.min(1, Number(brand.confidence)))
+        : null
+    }));
+
+  const analysis = {
+    summary: typeof value.summary === 'string' ? value.summary.trim() : null,
+    adFormat: normalizeEnum('adFormat', AD_FORMATS),
+    narrativeStyle: normalizeEnum('narrativeStyle', NARRATIVE_STYLES),
+    ctaTypes: [...new Set(normalizeArray('ctaTypes')
+      .map(type => String(type).toLowerCase().trim())
+      .filter(type => CTA_TYPES.includes(type)))],
+    brands,
+    placement: normalizeEnum('placement', PLACEMENTS),
+    audienceReaction: normalizeEnum('audienceReaction', AUDIENCE_REACTIONS),
+    recommendations: normalizeArray('recommendations')
+      .filter(recommendation => typeof recommendation === 'string' && recommendation.trim() !== '')
+      .map(recommendation => recommendation.trim())
+  };
+
+  return { valid: errors.length === 0, errors, value: errors.length === 0 ? analysis : null };
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA_DESCRIPTION,
+  validateAnalysis
+};
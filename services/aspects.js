@@ -0,0 +1,134 @@
+const brands = require('./brands');
+const sentimentService = require('./sentiment');
+
+// Words that refer to the ad read itself (checked before the general sponsor terms)
+const AD_READ_PATTERN = /\b(ad[- ]?reads?|ad segments?|ad spots?|sponsor (segments?|spots?|reads?|parts?|bits?)|segues?|transitions? (to|into) the (ad|sponsor))\b/i;
+
+// Words that refer to the sponsorship in general (English, plus common Spanish/Portuguese terms)
+const SPONSOR_PATTERN = /\b(sponsors?|sponsored|sponsorships?|ads|ad|adverts?|advertisements?|commercials?|promos?|promotions?|paid promotions?|patrocin\w*|anuncios?|publicidade?)\b/i;
+
+const TIMESTAMP_PATTERN = /\b\d{1,2}:\d{2}\b/;
+
+// Signs that viewers are annoyed by the ad, by indicator name
+const ANNOYANCE_PATTERNS = {
+  skip: /\bskip(s|ped|ping)?\b/i,
+  sponsorblock: /\bsponsor ?block\b/i,
+  tooLong: /\b(too|so|way too|super) long\b/i,
+  tooMany: /\b(too many|so many|another|yet another) (ads|ad|sponsors?|sponsorships?)\b/i,
+  annoying: /\b(annoying|irritating|hate|cringe|obnoxious)\b/i
+};
+
+// Split comments into clauses so "loved the video but the ad was awful" scores each part
+const CLAUSE_SPLIT_PATTERN = /[.!?;\n]+|,?\s+\b(?:but|however|although|though|whereas|except|pero|aunque|mas|embora)\b\s+/i;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find ad annoyance indicators in a comment
+ * Generic words like "skip" or "too long" only count when the comment is about the ad
+ * or points to a timestamp to skip to
+ * @param {string} text - Comment text
+ * @returns {Array} Indicator names
+ */
+function detectAnnoyance(text) {
+  const aboutAd = SPONSOR_PATTERN.test(text) || AD_READ_PATTERN.test(text);
+  const indicators = [];
+
+  for (const [indicator, pattern] of Object.entries(ANNOYANCE_PATTERNS)) {
+    if (!pattern.test(text)) continue;
+
+    if (indicator === 'sponsorblock' || indicator === 'tooMany' || aboutAd ||
+      (indicator === 'skip' && TIMESTAMP_PATTERN.test(text))) {
+      indicators.push(indicator);
+    }
+  }
+
+  return indicators;
+}
+
+/**
+ * Analyze sentiment toward the sponsor, the ad read and individual brands
+ * Only the clauses that mention an aspect are scored, in the comment's language
+ * @param {Array} comments - Comments with a text field
+ * @param {Array} scores - scoreText results for the same comments (for their languages)
+ * @param {Object} options - { brands } names of the brands detected on the video
+ * @returns {Promise<Object>} { aspectSentiment, brandSentiment, adAnnoyance }
+ */
+async function analyzeAspects(comments, scores, options = {}) {
+  const aspectTallies = { sponsor: sentimentService.createTally(), adRead: sentimentService.createTally() };
+  const brandTallies = new Map();
+  const brandPatterns = (options.brands || []).map(name => ({
+    name,
+    pattern: new RegExp(`(^|[^\\w])${escapeRegex(name)}($|[^\\w])`, 'i')
+  }));
+
+  const annoyanceIndicators = {};
+  let annoyedComments = 0;
+
+  for (let i = 0; i < comments.length; i++) {
+    const { text } = comments[i];
+    const { language, supported } = scores[i];
+
+    const indicators = detectAnnoyance(text);
+    if (indicators.length > 0) {
+      annoyedComments++;
+      for (const indicator of indicators) {
+        annoyanceIndicators[indicator] = (annoyanceIndicators[indicator] || 0) + 1;
+      }
+    }
+
+    if (!supported) continue;
+
+    for (const clause of text.split(CLAUSE_SPLIT_PATTERN)) {
+      if (!clause || !clause.trim()) continue;
+
+      const aspect = AD_READ_PATTERN.test(clause) ? 'adRead' : SPONSOR_PATTERN.test(clause) ? 'sponsor' : null;
+      const mentionedBrands = new Set([
+        ...brands.resolveBrands(clause),
+        ...brandPatterns.filter(brand => brand.pattern.test(clause)).map(brand => brand.name)
+      ]);
+
+      if (!aspect && mentionedBrands.size === 0) continue;
+
+      const result = await sentimentService.scoreText(clause, { language });
+
+      if (aspect) {
+        sentimentService.addToTally(aspectTallies[aspect], result);
+      }
+
+      for (const brand of mentionedBrands) {
+        if (!brandTallies.has(brand)) {
+          brandTallies.set(brand, sentimentService.createTally());
+        }
+        sentimentService.addToTally(brandTallies.get(brand), result);
+      }
+    }
+  }
+
+  return {
+    aspectSentiment: {
+      sponsor: sentimentService.summarizeTally(aspectTallies.sponsor),
+      adRead: sentimentService.summarizeTally(aspectTallies.adRead)
+    },
+    brandSentiment: [...brandTallies.entries()]
+      .map(([brand, tally]) => ({ brand, ...sentimentService.summarizeTally(tally) }))
+      .sort((a, b) => b.count - a.count),
+    adAnnoyance: {
+      commentCount: annoyedComments,
+      percentage: comments.length > 0 ? (annoyedComments / comments.length) * 100 : 0,
+      indicators: annoyanceIndicators
+    }
+  };
+}
+
+module.exports = {
+  detectAnnoyance,
+  analyzeAspects
+};
@@ -0,0 +1,394 @@
+const Video = require('../models/video');
+const AdInsight = require('../models/adInsight');
+const Brand = require('../models/brand');
+const Channel = require('../models/channel');
+
+// Periods accepted for sponsorship counts over time
+const TIMELINE_INTERVALS = ['week', 'month', 'quarter'];
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the Video filter for sponsored videos in a date range
+ * @param {Object} range - { from, to } publication dates, both optional
+ * @returns {Object} Video query
+ */
+function sponsoredVideoFilter(range = {}) {
+  const filter = { 'sponsorshipInfo.hasSponsorship': true };
+  if (range.from || range.to) {
+    filter.publishedAt = {};
+    if (range.from) filter.publishedAt.$gte = range.from;
+    if (range.to) filter.publishedAt.$lte = range.to;
+  }
+  return filter;
+}
+
+/**
+ * Label the period a date falls in
+ * @param {Date} date - Date
+ * @param {string} interval - 'week' (starting Monday), 'month' or 'quarter'
+ * @returns {string} e.g. '2025-03-03', '2025-03' or '2025-Q1'
+ */
+function periodOf(date, interval) {
+  const day = new Date(date);
+  const year = day.getUTCFullYear();
+  const month = day.getUTCMonth();
+
+  if (interval === 'quarter') return `${year}-Q${Math.floor(month / 3) + 1}`;
+  if (interval === 'week') {
+    const monday = new Date(Date.UTC(year, month, day.getUTCDate() - ((day.getUTCDay() + 6) % 7)));
+    return monday.toISOString().substring(0, 10);
+  }
+  return `${year}-${String(month + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Average of the defined values in a list
+ * @param {Array<number>} values - Values (null and undefined are skipped)
+ * @returns {number|null} Average, or null if there are no values
+ */
+function average(values) {
+  const defined = values.filter(value => value !== null && value !== undefined);
+  return defined.length > 0 ? defined.reduce((total, value) => total + value, 0) / defined.length : null;
+}
+
+/**
+ * Resolve a brand name from a request to the name stored on videos
+ * Dictionary names are matched case-insensitively, then names detected on videos
+ * @param {string} brand - Brand name as requested
+ * @returns {Promise<Object|null>} { name, category } or null if the brand was never seen
+ */
+async function resolveBrand(brand) {
+  const pattern = new RegExp(`^${escapeRegex(brand.trim())}$`, 'i');
+
+  const dictionaryBrand = await Brand.findOne({ name: pattern }).select('name category');
+  if (dictionaryBrand) {
+    return { name: dictionaryBrand.name, category: dictionaryBrand.category || null };
+  }
+
+  const video = await Video.findOne({ 'sponsorshipInfo.detectedBrands': pattern }).select('sponsorshipInfo.detectedBrands');
+  if (!video) return null;
+
+  return { name: video.sponsorshipInfo.detectedBrands.find(name => pattern.test(name)), category: null };
+}
+
+/**
+ * Get the latest ad insights of videos, by video ID
+ * @param {Array<string>} videoIds - YouTube video IDs
+ * @returns {Promise<Map>} Map of video ID to AdInsight fields used by the brand analytics
+ */
+async function getLatestInsights(videoIds) {
+  const insights = await AdInsight.find({ videoId: { $in: videoIds }, isLatest: true })
+    .select('videoId adEffectiveness adStyle sentimentAnalysis.averageSentiment sentimentAnalysis.aspectSentiment brandSentiment adAnnoyance.percentage')
+    .lean();
+
+  return new Map(insights.map(insight => [insight.videoId, insight]));
+}
+
+/**
+ * Sentiment of a video's comments toward a brand, falling back to sentiment toward the sponsor
+ * @param {Object} insight - AdInsight fields from getLatestInsights
+ * @param {string} brand - Brand name
+ * @returns {number|null} Average sentiment, or null if no comment mentioned the brand or sponsor
+ */
+function brandSentimentOf(insight, brand) {
+  if (!insight) return null;
+
+  const entry = (insight.brandSentiment || []).find(item => item.brand === brand);
+  if (entry && entry.count > 0) return entry.averageSentiment;
+
+  const aspects = (insight.sentimentAnalysis && insight.sentimentAnalysis.aspectSentiment) || {};
+  const sponsor = aspects.sponsor;
+  return sponsor && sponsor.count > 0 ? sponsor.averageSentiment : null;
+}
+
+/**
+ * Summarize a set of sponsored videos of a brand
+ * @param {Array} videos - Video documents
+ * @param {Map} insights - Latest ad insights by video ID
+ * @param {string} brand - Brand name
+ * @returns {Object} Counts, first/last seen dates, averages of views, engagement,
+ *   effectiveness and sentiment
+ */
+function summarizeVideos(videos, insights, brand) {
+  const dates = videos.map(video => video.publishedAt).filter(Boolean).sort((a, b) => a - b);
+  const videoInsights = videos.map(video => insights.get(video.videoId)).filter(Boolean);
+
+  return {
+    sponsoredVideos: videos.length,
+    creators: new Set(videos.map(video => video.channelId)).size,
+    firstSeen: dates.length > 0 ? dates[0] : null,
+    lastSeen: dates.length > 0 ? dates[dates.length - 1] : null,
+    totalViews: videos.reduce((total, video) => total + (video.viewCount || 0), 0),
+    avgViews: average(videos.map(video => video.viewCount || 0)),
+    avgEngagementRate: average(videos.map(video => video.engagementMetrics && video.engagementMetrics.overallEngagementRate)),
+    analyzedVideos: videoInsights.length,
+    avgAdEffectiveness: average(videoInsights.map(insight => insight.adEffectiveness)),
+    avgSentiment: average(videoInsights.map(insight => insight.sentimentAnalysis && insight.sentimentAnalysis.averageSentiment)),
+    avgBrandSentiment: average(videoInsights.map(insight => brandSentimentOf(insight, brand))),
+    avgAdAnnoyance: average(videoInsights.map(insight => insight.adAnnoyance && insight.adAnnoyance.percentage))
+  };
+}
+
+/**
+ * Count the sponsored videos of each category's brands
+ * A category's videos are the distinct sponsored videos that mention any enabled dictionary
+ * brand of the category, so a video sponsored by two of its brands is counted once
+ * @param {Array<string>} categories - Brand dictionary categories
+ * @param {Object} range - { from, to }
+ * @returns {Promise<Map>} Map of category to { brands, videos } where brands is a Set of names
+ */
+async function getCategoryVideoCounts(categories, range) {
+  const counts = new Map();
+
+  for (const category of new Set(categories.filter(Boolean))) {
+    const brands = (await Brand.find({ category, enabled: true }).select('name')).map(item => item.name);
+    const videos = brands.length > 0
+      ? await Video.countDocuments({ ...sponsoredVideoFilter(range), 'sponsorshipInfo.detectedBrands': { $in: brands } })
+      : 0;
+    counts.set(category, { brands: new Set(brands), videos });
+  }
+
+  return counts;
+}
+
+/**
+ * Share of a brand's sponsored videos among the sponsored videos of its category
+ * @param {string} brand - Brand name
+ * @param {string|null} category - Brand dictionary category
+ * @param {number} brandVideos - Sponsored videos of the brand in the range
+ * @param {Map} categoryCounts - Result of getCategoryVideoCounts
+ * @returns {Object|null} { category, categoryBrands, categoryVideos, percentage }, or null for
+ *   brands without a category or disabled in the dictionary
+ */
+function shareOfVoiceOf(brand, category, brandVideos, categoryCounts) {
+  const counts = category && categoryCounts.get(category);
+  if (!counts || !counts.brands.has(brand)) return null;
+
+  return {
+    category,
+    categoryBrands: counts.brands.size,
+    categoryVideos: counts.videos,
+    percentage: counts.videos > 0 ? (brandVideos / counts.videos) * 100 : 0
+  };
+}
+
+/**
+ * List brands seen in sponsored videos with their sponsorship stats
+ * @param {Object} options - { from, to } publication date range, { category } dictionary category
+ * @returns {Promise<Array>} Brands sorted by sponsored videos, with share of voice in their category
+ */
+async function listBrands(options = {}) {
+  const videoFilter = sponsoredVideoFilter(options);
+  const insightFilter = { isLatest: true, hasSponsorship: true };
+  if (videoFilter.publishedAt) insightFilter.publishedAt = videoFilter.publishedAt;
+
+  const [videoStats, insightStats, dictionary] = await Promise.all([
+    Video.aggregate([
+      { $match: videoFilter },
+      { $unwind: '$sponsorshipInfo.detectedBrands' },
+      { $group: {
+        _id: '$sponsorshipInfo.detectedBrands',
+        sponsoredVideos: { $sum: 1 },
+        creators: { $addToSet: '$channelId' },
+        firstSeen: { $min: '$publishedAt' },
+        lastSeen: { $max: '$publishedAt' },
+        totalViews: { $sum: '$viewCount' }
+      } }
+    ]),
+    AdInsight.aggregate([
+      { $match: insightFilter },
+      { $unwind: '$detectedBrands' },
+      { $group: {
+        _id: '$detectedBrands',
+        analyzedVideos: { $sum: 1 },
+        avgAdEffectiveness: { $avg: '$adEffectiveness' },
+        avgSentiment: { $avg: '$sentimentAnalysis.averageSentiment' }
+      } }
+    ]),
+    Brand.find().select('name category').lean()
+  ]);
+
+  const categories = new Map(dictionary.map(brand => [brand.name, brand.category || null]));
+  const insightsByBrand = new Map(insightStats.map(stats => [stats._id, stats]));
+
+  const brands = videoStats.map(stats => {
+    const insight = insightsByBrand.get(stats._id);
+    return {
+      brand: stats._id,
+      category: categories.get(stats._id) || null,
+      sponsoredVideos: stats.sponsoredVideos,
+      creators: stats.creators.length,
+      firstSeen: stats.firstSeen,
+      lastSeen: stats.lastSeen,
+      totalViews: stats.totalViews,
+      analyzedVideos: insight ? insight.analyzedVideos : 0,
+      avgAdEffectiveness: insight ? insight.avgAdEffectiveness : null,
+      avgSentiment: insight ? insight.avgSentiment : null
+    };
+  });
+
+  const listed = brands.filter(brand => !options.category || brand.category === options.category);
+  const categoryCounts = await getCategoryVideoCounts(listed.map(brand => brand.category), options);
+  for (const brand of listed) {
+    brand.shareOfVoice = shareOfVoiceOf(brand.brand, brand.category, brand.sponsoredVideos, categoryCounts);
+  }
+
+  return listed.sort((a, b) => b.sponsoredVideos - a.sponsoredVideos);
+}
+
+/**
+ * Get a brand's sponsorship stats, counts over time and share of voice
+ * @param {string} brand - Brand name (matched case-insensitively)
+ * @param {Object} options - { from, to } publication date range, { interval } timeline period
+ * @returns {Promise<Object|null>} Brand analytics, or null if the brand was never seen
+ */
+async function getBrandAnalytics(brand, options = {}) {
+  const resolved = await resolveBrand(brand);
+  if (!resolved) return null;
+
+  const interval = options.interval || 'month';
+  const videos = await Video.find({ ...sponsoredVideoFilter(options), 'sponsorshipInfo.detectedBrands': resolved.name })
+    .select('videoId channelId publishedAt viewCount engagementMetrics.overallEngagementRate')
+    .lean();
+  const insights = await getLatestInsights(videos.map(video => video.videoId));
+
+  const periods = new Map();
+  for (const video of videos.filter(item => item.publishedAt)) {
+    const period = periodOf(video.publishedAt, interval);
+    if (!periods.has(period)) periods.set(period, []);
+    periods.get(period).push(video);
+  }
+
+  const timeline = [...periods.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([period, periodVideos]) => {
+      const periodInsights = periodVideos.map(video => insights.get(video.videoId)).filter(Boolean);
+      return {
+        period,
+        sponsoredVideos: periodVideos.length,
+        creators: new Set(periodVideos.map(video => video.channelId)).size,
+        totalViews: periodVideos.reduce((total, video) => total + (video.viewCount || 0), 0),
+        avgAdEffectiveness: average(periodInsights.map(insight => insight.adEffectiveness))
+      };
+    });
+
+  return {
+    brand: resolved.name,
+    category: resolved.category,
+    ...summarizeVideos(videos, insights, resolved.name),
+    shareOfVoice: shareOfVoiceOf(
+      resolved.name,
+      resolved.category,
+      videos.length,
+      await getCategoryVideoCounts([resolved.category], options)
+    ),
+    interval,
+    timeline
+  };
+}
+
+/**
+ * List a brand's sponsored videos with their latest ad insights
+ * @param {string} brand - Brand name (matched case-insensitively)
+ * @param {Object} options - { from, to } publication date range, { page, limit }
+ * @returns {Promise<Object|null>} { brand, videos, total }, or null if the brand was never seen
+ */
+async function listBrandVideos(brand, options = {}) {
+  const resolved = await resolveBrand(brand);
+  if (!resolved) return null;
+
+  const filter = { ...sponsoredVideoFilter(options), 'sponsorshipInfo.detectedBrands': resolved.name };
+  const page = options.page || 1;
+  const limit = options.limit || 20;
+
+  const videos = await Video.find(filter)
+    .sort({ publishedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .select('videoId title channelId channelTitle publishedAt viewCount likeCount commentCount engagementMetrics sponsorshipInfo.detectedBrands sponsorshipInfo.adDuration')
+    .lean();
+  const total = await Video.countDocuments(filter);
+  const insights = await getLatestInsights(videos.map(video => video.videoId));
+
+  return {
+    brand: resolved.name,
+    total,
+    videos: videos.map(video => {
+      const insight = insights.get(video.videoId);
+      return {
+        ...video,
+        adInsight: insight
+          ? {
+            adEffectiveness: insight.adEffectiveness,
+            adStyle: insight.adStyle,
+            averageSentiment: insight.sentimentAnalysis && insight.sentimentAnalysis.averageSentiment,
+            brandSentiment: brandSentimentOf(insight, resolved.name),
+            adAnnoyance: insight.adAnnoyance && insight.adAnnoyance.percentage
+          }
+          : null
+      };
+    })
+  };
+}
+
+/**
+ * List the creators that a brand sponsored, with how those videos performed
+ * @param {string} brand - Brand name (matched case-insensitively)
+ * @param {Object} options - { from, to } publication date range
+ * @returns {Promise<Object|null>} { brand, creators } sorted by sponsored videos, or null if
+ *   the brand was never seen
+ */
+async function listBrandCreators(brand, options = {}) {
+  const resolved = await resolveBrand(brand);
+  if (!resolved) return null;
+
+  const videos = await Video.find({ ...sponsoredVideoFilter(options), 'sponsorshipInfo.detectedBrands': resolved.name })
+    .select('videoId channelId channelTitle publishedAt viewCount engagementMetrics.overallEngagementRate')
+    .lean();
+  const insights = await getLatestInsights(videos.map(video => video.videoId));
+
+  const byChannel = new Map();
+  for (const video of videos) {
+    if (!byChannel.has(video.channelId)) byChannel.set(video.channelId, []);
+    byChannel.get(video.channelId).push(video);
+  }
+
+  const profiles = new Map((await Channel.find({ channelId: { $in: [...byChannel.keys()] } })
+    .select('channelId title subscriberCount country')
+    .lean()).map(channel => [channel.channelId, channel]));
+
+  const creators = [...byChannel.entries()].map(([channelId, channelVideos]) => {
+    const profile = profiles.get(channelId);
+    const summary = summarizeVideos(channelVideos, insights, resolved.name);
+    delete summary.creators;
+    return {
+      channelId,
+      channelTitle: (profile && profile.title) || channelVideos[0].channelTitle,
+      subscriberCount: profile ? profile.subscriberCount : null,
+      country: profile ? profile.country : null,
+      ...summary
+    };
+  });
+
+  return {
+    brand: resolved.name,
+    creators: creators.sort((a, b) => b.sponsoredVideos - a.sponsoredVideos)
+  };
+}
+
+module.exports = {
+  TIMELINE_INTERVALS,
+  periodOf,
+  listBrands,
+  getBrandAnalytics,
+  listBrandVideos,
+  listBrandCreators
+};
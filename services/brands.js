@@ -0,0 +1,135 @@
+const config = require('../config/config');
+const Brand = require('../models/brand');
+
+// Compiled brand dictionary, reloaded from the database after changes or when stale
+let dictionary = [];
+let loadedAt = 0;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a brand document into matchers
+ * @param {Object} brand - Brand document
+ * @returns {Object} Compiled brand
+ */
+function compileBrand(brand) {
+  const names = [brand.name, ...(brand.aliases || [])].filter(Boolean);
+
+  const promoCodePatterns = [];
+  for (const pattern of brand.promoCodePatterns || []) {
+    try {
+      promoCodePatterns.push(new RegExp(pattern, 'i'));
+    } catch (error) {
+      console.error(`Invalid promo code pattern for brand ${brand.name}:`, error.message);
+    }
+  }
+
+  return {
+    name: brand.name,
+    category: brand.category,
+    // Whole-word match so 'Audible' does not match 'inaudible'
+    namePatterns: names.map(name => new RegExp(`(^|[^\\w])${escapeRegex(name)}($|[^\\w])`, 'i')),
+    lowerNames: names.map(name => name.toLowerCase()),
+    domains: (brand.domains || []).map(domain => domain.toLowerCase().replace(/^www\./, '')),
+    promoCodePatterns
+  };
+}
+
+/**
+ * Load the brand dictionary if it has not been loaded yet or is stale
+ * @returns {Promise<Array>} Compiled brand dictionary
+ */
+async function ensureBrandsLoaded() {
+  if (Date.now() - loadedAt < config.brands.cacheTtlMs) {
+    return dictionary;
+  }
+
+  try {
+    const brands = await Brand.find({ enabled: true });
+    dictionary = brands.map(compileBrand);
+    loadedAt = Date.now();
+  } catch (error) {
+    console.error('Error loading brand dictionary:', error.message);
+  }
+
+  return dictionary;
+}
+
+/**
+ * Force the brand dictionary to be reloaded on next use
+ */
+function invalidateBrandCache() {
+  loadedAt = 0;
+}
+
+/**
+ * Resolve brand mentions in text against the brand dictionary
+ * Matches canonical names and aliases, brand domains and promo code patterns
+ * @param {string} text - Text to analyze
+ * @returns {Array} Canonical names of the brands mentioned
+ */
+function resolveBrands(text) {
+  if (!text) return [];
+
+  const lowerText = text.toLowerCase();
+  const matches = [];
+
+  for (const brand of dictionary) {
+    const mentioned = brand.namePatterns.some(pattern => pattern.test(text)) ||
+      brand.domains.some(domain => lowerText.includes(domain)) ||
+      brand.promoCodePatterns.some(pattern => pattern.test(text));
+
+    if (mentioned) {
+      matches.push(brand.name);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Resolve brands from links and promo codes only
+ * Used on whole descriptions, where a bare name mention is not evidence of sponsorship
+ * @param {string} text - Text to analyze
+ * @returns {Array} Canonical names of the brands linked or with matching promo codes
+ */
+function resolveBrandLinks(text) {
+  if (!text) return [];
+
+  const lowerText = text.toLowerCase();
+
+  return dictionary
+    .filter(brand => brand.domains.some(domain => lowerText.includes(domain)) ||
+      brand.promoCodePatterns.some(pattern => pattern.test(text)))
+    .map(brand => brand.name);
+}
+
+/**
+ * Resolve tags that exactly name a brand or one of its aliases
+ * @param {Array} tags - Video tags
+ * @returns {Array} Canonical names of the brands tagged
+ */
+function resolveBrandTags(tags) {
+  if (!Array.isArray(tags)) return [];
+
+  const lowerTags = tags.map(tag => tag.toLowerCase().trim());
+
+  return dictionary
+    .filter(brand => brand.lowerNames.some(name => lowerTags.includes(name)))
+    .map(brand => brand.name);
+}
+
+module.exports = {
+  ensureBrandsLoaded,
+  invalidateBrandCache,
+  resolveBrands,
+  resolveBrandLinks,
+  resolveBrandTags
+};
@@ -0,0 +1,289 @@
+const config = require('../config/config');
+const Video = require('../models/video');
+const Caption = require('../models/caption');
+
+// Phrases that open a sponsor read
+const SPONSOR_START_PATTERNS = [
+  /this (video|episode|channel) is (sponsored|brought to you) by/i,
+  /sponsored by/i,
+  /today'?s (video )?sponsor/i,
+  /thanks? (you )?to .{1,40} for sponsoring/i,
+  /brought to you by/i,
+  /a (quick )?word from (our|today'?s) sponsor/i,
+  /(partnered|teamed up) with/i,
+  /paid promotion/i
+];
+
+// Calls to action that are typical inside a sponsor read
+const SPONSOR_CTA_PATTERNS = [
+  /use (my |the )?code/i,
+  /(promo|discount|coupon) code/i,
+  /link (is )?(in|down in) the description/i,
+  /\d+ ?% off/i,
+  /free trial/i,
+  /sign up (today|now|for free|at)/i,
+  /first \d+ (people|users|customers)/i,
+  /go to \S+\.(com|io|co|net|org)/i
+];
+
+// Phrases that close a sponsor read
+const SPONSOR_END_PATTERNS = [
+  /back to (the|today'?s) (video|topic|episode)/i,
+  /now back to/i,
+  /let'?s get back/i,
+  /with that (said|out of the way)/i,
+  /and now,? (on|back) to/i
+];
+
+/**
+ * Convert a caption timestamp to seconds
+ * @param {string} timestamp - Timestamp like 01:02:03,500 (SRT) or 02:03.500 (WebVTT)
+ * @returns {number|null} Time in seconds or null if invalid
+ */
+function parseCaptionTimestamp(timestamp) {
+  const match = timestamp.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+  if (!match) return null;
+
+  const [, hours, minutes, seconds, millis] = match;
+  return (parseInt(hours || '0', 10) * 3600) +
+    (parseInt(minutes, 10) * 60) +
+    parseInt(seconds, 10) +
+    (millis ? parseInt(millis.padEnd(3, '0'), 10) / 1000 : 0);
+}
+
+/**
+ * Detect the caption format from its content
+ * @param {string} content - Caption file content
+ * @returns {string|null} 'vtt', 'srt' or null if unknown
+ */
+function detectCaptionFormat(content) {
+  if (/^\uFEFF?WEBVTT/.test(content)) return 'vtt';
+  if (content.includes('-->')) return 'srt';
+  return null;
+}
+
+/**
+ * Parse an SRT or WebVTT caption track into cues
+ * @param {string} content - Caption file content
+ * @returns {Array} Cues with start and end in seconds and plain text
+ */
+function parseCaptions(content) {
+  const cues = [];
+  const blocks = content.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    // WebVTT timing lines may carry cue settings after the end time
+    const [startText, endText] = lines[timingIndex].split('-->');
+    const start = parseCaptionTimestamp(startText);
+    const end = parseCaptionTimestamp(endText.trim().split(/\s+/)[0]);
+    if (start === null || end === null) continue;
+
+    const text = lines.slice(timingIndex + 1)
+      .join(' ')
+      .replace(/<[^>]+>/g, '') // Strip styling and voice tags
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (text) {
+      cues.push({ start, end, text });
+    }
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the first pattern matching a cue
+ * The previous cue's text is included so phrases split across cues still match,
+ * but a phrase found entirely in the previous cue is not counted again
+ * @param {Array<RegExp>} patterns - Patterns to test
+ * @param {string} text - Cue text
+ * @param {string} previousText - Previous cue text
+ * @returns {string|null} Matched phrase or null
+ */
+function matchPhrase(patterns, text, previousText = '') {
+  for (const pattern of patterns) {
+    const searchText = previousText && !pattern.test(previousText)
+      ? `${previousText} ${text}`
+      : text;
+    const match = searchText.match(pattern);
+    if (match) return match[0];
+  }
+  return null;
+}
+
+/**
+ * Locate sponsor read segments in caption cues
+ * A segment opens on a sponsor phrase or call to action, stays open while sponsor
+ * signals keep appearing and closes on a return-to-content phrase or after a gap
+ * @param {Array} cues - Parsed caption cues
+ * @returns {Array} Segments with start, end, duration, trigger and excerpt
+ */
+function detectSponsorSegments(cues) {
+  const { maxGapSeconds, maxSegmentSeconds } = config.captions;
+  const segments = [];
+  let current = null;
+
+  const closeSegment = end => {
+    // A lone call to action (e.g. "use code" in passing) is not a sponsor read
+    if (current.hasStartPhrase || current.signals >= 2) {
+      const segmentEnd = Math.min(end, current.start + maxSegmentSeconds);
+      segments.push({
+        start: current.start,
+        end: segmentEnd,
+        duration: Math.round((segmentEnd - current.start) * 10) / 10,
+        source: 'transcript',
+        trigger: current.trigger,
+        excerpt: current.text.join(' ').substring(0, 300)
+      });
+    }
+    current = null;
+  };
+
+  cues.forEach((cue, index) => {
+    const previousText = index > 0 ? cues[index - 1].text : '';
+    const startPhrase = matchPhrase(SPONSOR_START_PATTERNS, cue.text, previousText);
+    const ctaPhrase = matchPhrase(SPONSOR_CTA_PATTERNS, cue.text, previousText);
+
+    if (current) {
+      if (matchPhrase(SPONSOR_END_PATTERNS, cue.text)) {
+        closeSegment(cue.start);
+        return;
+      }
+
+      if (cue.start - current.lastSignalEnd > maxGapSeconds) {
+        closeSegment(current.lastSignalEnd);
+      }
+    }
+
+    if (!startPhrase && !ctaPhrase) {
+      if (current) current.text.push(cue.text);
+      return;
+    }
+
+    if (!current) {
+      current = {
+        start: cue.start,
+        lastSignalEnd: cue.end,
+        trigger: startPhrase || ctaPhrase,
+        hasStartPhrase: false,
+        signals: 0,
+        text: []
+      };
+    }
+
+    current.lastSignalEnd = cue.end;
+    current.hasStartPhrase = current.hasStartPhrase || Boolean(startPhrase);
+    current.signals++;
+    current.text.push(cue.text);
+  });
+
+  if (current) {
+    closeSegment(current.lastSignalEnd);
+  }
+
+  return segments;
+}
+
+/**
+ * Sum the durations of segments
+ * @param {Array} segments - Segments with a duration in seconds
+ * @returns {number|null} Total duration, or null if there are no segments
+ */
+function totalDuration(segments) {
+  return segments.length > 0 ? segments.reduce((total, segment) => total + segment.duration, 0) : null;
+}
+
+/**
+ * Merge transcript segments into sponsorship info
+ * Measured transcript segments take precedence over description timestamps for adDuration.
+ * Without transcript segments (e.g. a re-uploaded track with no sponsor read), adDuration
+ * and hasSponsorship fall back to the description signals
+ * @param {Object} sponsorshipInfo - Sponsorship info from detectSponsorship
+ * @param {Array} transcriptSegments - Segments from detectSponsorSegments
+ * @returns {Object} Updated sponsorship info
+ */
+function applyTranscriptSegments(sponsorshipInfo, transcriptSegments) {
+  const info = { ...sponsorshipInfo };
+  const otherSegments = (info.segments || []).filter(segment => segment.source !== 'transcript');
+  const transcript = transcriptSegments || [];
+
+  info.segments = [...otherSegments, ...transcript];
+
+  if (transcript.length > 0) {
+    info.hasSponsorship = true;
+    info.adIndicators = [...new Set([...(info.adIndicators || []), 'transcript segment'])];
+    info.adDuration = totalDuration(transcript);
+  } else {
+    // Every description, tag and link signal adds an indicator, so the rest decide hasSponsorship
+    info.adIndicators = (info.adIndicators || []).filter(indicator => indicator !== 'transcript segment');
+    info.hasSponsorship = info.adIndicators.length > 0;
+    info.adDuration = totalDuration(otherSegments);
+  }
+
+  return info;
+}
+
+/**
+ * Store a caption track for a video and update its sponsor segments
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} track - { content, format, language } or { cues, language }
+ * @returns {Promise<Object>} { success, caption, segments, sponsorshipInfo } or { success: false, error }
+ */
+async function ingestCaptions(videoId, track) {
+  const video = await Video.findOne({ videoId });
+  if (!video) {
+    return { success: false, error: 'Video not found' };
+  }
+
+  let cues;
+  let format = 'cues';
+
+  if (Array.isArray(track.cues)) {
+    cues = track.cues
+      .filter(cue => cue && typeof cue.text === 'string' &&
+        Number.isFinite(cue.start) && Number.isFinite(cue.end))
+      .map(cue => ({ start: cue.start, end: cue.end, text: cue.text.trim() }))
+      .sort((a, b) => a.start - b.start);
+  } else {
+    format = track.format || detectCaptionFormat(track.content || '');
+    if (!['srt', 'vtt'].includes(format)) {
+      return { success: false, error: 'Unsupported caption format. Provide SRT or WebVTT content, or a cues array' };
+    }
+    cues = parseCaptions(track.content);
+  }
+
+  if (cues.length === 0) {
+    return { success: false, error: 'No caption cues found' };
+  }
+
+  const segments = detectSponsorSegments(cues);
+  const language = track.language || 'en';
+
+  const caption = await Caption.findOneAndUpdate(
+    { videoId, language },
+    { $set: { format, cues, sponsorSegments: segments, processedAt: new Date() } },
+    { upsert: true, new: true }
+  );
+
+  const currentInfo = video.sponsorshipInfo ? video.sponsorshipInfo.toObject() : {};
+  const sponsorshipInfo = applyTranscriptSegments(currentInfo, segments);
+
+  await Video.updateOne({ videoId }, { $set: { sponsorshipInfo } });
+
+  console.log(`Captions processed for video ${videoId}: ${cues.length} cues, ${segments.length} sponsor segment(s)`);
+
+  return { success: true, caption, segments, sponsorshipInfo };
+}
+
+module.exports = {
+  parseCaptions,
+  detectCaptionFormat,
+  detectSponsorSegments,
+  applyTranscriptSegments,
+  ingestCaptions
+};
@@ -0,0 +1,117 @@
+const Comment = require('../models/comment');
+const brands = require('./brands');
+const sentimentService = require('./sentiment');
+const spam = require('./spam');
+
+// Words that mark a comment as being about the ad
+const AD_KEYWORDS = ['ad', 'sponsor', 'promotion', 'sponsored', 'brand', 'product'];
+const AD_KEYWORD_PATTERNS = AD_KEYWORDS.map(keyword => ({
+  keyword,
+  pattern: new RegExp(`\\b${keyword}s?\\b`, 'i')
+}));
+
+/**
+ * Find the brands a comment mentions
+ * Known brands are resolved from the brand dictionary; brands detected on the video are
+ * matched by name so sponsors missing from the dictionary are still counted
+ * @param {string} text - Comment text
+ * @param {Array} videoBrands - Brands detected on the video
+ * @returns {Array} Brand names
+ */
+function findBrandMentions(text, videoBrands = []) {
+  const lowerText = text.toLowerCase();
+  const mentioned = videoBrands.filter(brand => lowerText.includes(brand.toLowerCase()));
+
+  return [...new Set([...brands.resolveBrands(text), ...mentioned])];
+}
+
+/**
+ * Score comments and detect spam, ad keywords and brand mentions
+ * @param {string} videoId - YouTube video ID
+ * @param {Array} comments - Comment objects from getVideoComments
+ * @param {Object} options - { fallbackLanguage } assumed for comments too short to detect,
+ *   { brands } detected on the video
+ * @returns {Promise<Array>} Comments with sentiment, spam, textHash and adRelated set
+ */
+async function enrichComments(videoId, comments, options = {}) {
+  await brands.ensureBrandsLoaded();
+  const spamResults = await spam.classifyComments(comments, { videoId });
+  const enriched = [];
+
+  for (const [index, comment] of comments.entries()) {
+    const { textHash, ...spamResult } = spamResults[index];
+
+    // Calculate sentiment in the comment's own language
+    const { language, score, classification, tokens } = await sentimentService.scoreText(comment.text, {
+      fallbackLanguage: options.fallbackLanguage
+    });
+
+    const adKeywords = AD_KEYWORD_PATTERNS
+      .filter(({ pattern }) => pattern.test(comment.text))
+      .map(({ keyword }) => keyword);
+    const brandMentions = findBrandMentions(comment.text, options.brands);
+
+    enriched.push({
+      ...comment,
+      videoId,
+      sentiment: {
+        score,
+        comparative: score !== null && tokens.length > 0 ? score / tokens.length : null,
+        classification,
+        language,
+        keywords: tokens.slice(0, 10) // Keep most significant keywords
+      },
+      spam: spamResult,
+      textHash,
+      adRelated: {
+        isAdRelated: adKeywords.length > 0 || brandMentions.length > 0,
+        adKeywords,
+        brandMentions
+      }
+    });
+  }
+
+  return enriched;
+}
+
+/**
+ * Upsert comments in a single bulk write
+ * @param {Array} comments - Comments from enrichComments
+ * @returns {Promise<Object>} { upserted, modified }
+ */
+async function storeComments(comments) {
+  if (comments.length === 0) return { upserted: 0, modified: 0 };
+
+  const result = await Comment.bulkWrite(comments.map(comment => ({
+    updateOne: {
+      filter: { commentId: comment.commentId },
+      update: { $set: comment },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return { upserted: result.upsertedCount, modified: result.modifiedCount };
+}
+
+/**
+ * Score and store the comments of a video
+ * Used by both comment refreshes and ad insights reports, so stored comments always match
+ * what the reports were computed from
+ * @param {string} videoId - YouTube video ID
+ * @param {Array} comments - Comment objects from getVideoComments
+ * @param {Object} options - { fallbackLanguage, brands }, see enrichComments
+ * @returns {Promise<Array>} Stored comments
+ */
+async function ingestComments(videoId, comments, options = {}) {
+  const enriched = await enrichComments(videoId, comments, options);
+  const { upserted, modified } = await storeComments(enriched);
+
+  console.log(`Stored ${enriched.length} comments for video ${videoId} (${upserted} new, ${modified} updated)`);
+  return enriched;
+}
+
+module.exports = {
+  enrichComments,
+  storeComments,
+  ingestComments
+};
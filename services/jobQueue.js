@@ -0,0 +1,314 @@
+const config = require('../config/config');
+const Job = require('../models/job');
+const Video = require('../models/video');
+const youtubeService = require('./youtube');
+const quota = require('./quota');
+
+let pollTimer = null;
+let isProcessing = false;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calculate exponential backoff delay for a retry attempt
+ * @param {number} attempt - Attempt number (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+  const delay = config.jobs.retryBaseDelayMs * Math.pow(2, attempt - 1);
+  return Math.min(delay, config.jobs.retryMaxDelayMs);
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type (must have a registered handler)
+ * @param {Object} payload - Job input data
+ * @param {Object} options - Extra options (source, maxAttempts)
+ * @returns {Promise<Object>} Created job document
+ */
+async function enqueueJob(type, payload, options = {}) {
+  if (!jobHandlers[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const job = await Job.create({
+    type,
+    payload,
+    source: options.source || 'api',
+    maxAttempts: options.maxAttempts || config.jobs.maxAttempts
+  });
+
+  console.log(`Job ${job._id} queued (${type})`);
+
+  // Pick it up right away instead of waiting for the next poll
+  setImmediate(processQueue);
+
+  return job;
+}
+
+/**
+ * Request cancellation of a job
+ * Queued jobs are cancelled immediately, running jobs stop after the current video
+ * Both updates are conditional on the status, so a job claimed by the worker in the meantime
+ * gets a cancellation request instead of being marked cancelled while it runs
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Updated job or null if not found
+ */
+async function cancelJob(jobId) {
+  const cancelled = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'cancelled', finishedAt: new Date() } },
+    { new: true }
+  );
+  if (cancelled) return cancelled;
+
+  const running = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'running' },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  );
+  if (running) return running;
+
+  // Already finished, or not found
+  return Job.findById(jobId);
+}
+
+/**
+ * Check whether cancellation was requested for a running job
+ * @param {Object} job - Job document
+ * @returns {Promise<boolean>}
+ */
+async function isCancelRequested(job) {
+  const current = await Job.findById(job._id).select('cancelRequested');
+  return Boolean(current && current.cancelRequested);
+}
+
+/**
+ * Summarize LLM response cache usage over the succeeded items of a job
+ * @param {Array} items - Job items
+ * @returns {Object} { cacheHits, cacheMisses, cacheHitRate, savedLlmCalls }
+ */
+function summarizeCacheUsage(items) {
+  const succeeded = items.filter(item => item.status === 'succeeded');
+  const cacheHits = succeeded.filter(item => item.cacheHit).length;
+
+  return {
+    cacheHits,
+    cacheMisses: succeeded.length - cacheHits,
+    cacheHitRate: succeeded.length > 0 ? (cacheHits / succeeded.length) * 100 : 0,
+    savedLlmCalls: succeeded.reduce((total, item) => total + (item.savedLlmCalls || 0), 0)
+  };
+}
+
+/**
+ * Generate ad insights for every video in a channel, one job item per video
+ * Items that already succeeded are skipped, so a resumed job continues where it stopped
+ * @param {Object} job - Job document
+ * @returns {Promise<string>} Final job status, or 'deferred' when the quota budget ran out
+ */
+async function runChannelInsightsJob(job) {
+  const { channelId, llm, force, includeReplies, includeSpam, scoringProfile } = job.payload;
+
+  // Build the item list on first run
+  if (job.items.length === 0) {
+    const videos = await Video.find({ channelId }).select('videoId title');
+
+    if (videos.length === 0) {
+      throw new Error('No videos found for this channel');
+    }
+
+    job.items = videos.map(video => ({ videoId: video.videoId, title: video.title }));
+    job.progress.total = videos.length;
+    await job.save();
+  }
+
+  for (const item of job.items) {
+    if (item.status !== 'pending') continue;
+
+    if (await isCancelRequested(job)) {
+      return 'cancelled';
+    }
+
+    while (item.status === 'pending') {
+      item.attempts++;
+
+      let result;
+      try {
+        result = await youtubeService.generateAdInsightsReport(item.videoId, { ...llm, force, includeReplies, includeSpam, scoringProfile });
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      if (result.quotaExceeded) {
+        // Not the video's fault - retry it once the quota resets
+        item.attempts--;
+        await job.save();
+        return 'deferred';
+      }
+
+      if (result.success) {
+        item.status = 'succeeded';
+        item.error = undefined;
+        item.cacheHit = result.report.llm.cacheHit;
+        item.savedLlmCalls = result.report.llm.savedCalls;
+        item.completedAt = new Date();
+      } else if (item.attempts >= config.jobs.maxItemAttempts) {
+        item.status = 'failed';
+        item.error = result.error;
+        item.completedAt = new Date();
+      } else {
+        item.error = result.error;
+        await sleep(getBackoffDelay(item.attempts));
+      }
+    }
+
+    job.progress.processed = job.items.filter(i => i.status === 'succeeded').length;
+    job.progress.failed = job.items.filter(i => i.status === 'failed').length;
+    job.summary = summarizeCacheUsage(job.items);
+    job.heartbeatAt = new Date();
+    await job.save();
+  }
+
+  return 'succeeded';
+}
+
+// Registered job handlers by job type
+const jobHandlers = {
+  'channel-insights': runChannelInsightsJob
+};
+
+/**
+ * Claim and run the next due job
+ * @returns {Promise<boolean>} True if a job was processed
+ */
+async function runNextJob() {
+  const job = await Job.findOneAndUpdate(
+    { status: 'queued', runAfter: { $lte: new Date() } },
+    {
+      $set: { status: 'running', startedAt: new Date(), heartbeatAt: new Date() },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAfter: 1, createdAt: 1 }, new: true }
+  );
+
+  if (!job) return false;
+
+  console.log(`Running job ${job._id} (${job.type}), attempt ${job.attempts}`);
+
+  try {
+    const status = await quota.runWithCaller(`job:${job.type}`, () => jobHandlers[job.type](job));
+
+    if (status === 'deferred') {
+      // Out of quota: wait for the daily reset without using up an attempt
+      job.status = 'queued';
+      job.attempts--;
+      job.runAfter = quota.getQuotaResetTime();
+      await job.save();
+
+      console.log(`Job ${job._id} deferred until ${job.runAfter.toISOString()} (quota budget exhausted)`);
+      return true;
+    }
+
+    job.status = status;
+    job.finishedAt = new Date();
+    await job.save();
+
+    console.log(`Job ${job._id} finished: ${status} (${job.progress.processed} processed, ${job.progress.failed} failed, ` +
+      `${job.summary.cacheHits} cache hit(s), ${job.summary.savedLlmCalls} LLM call(s) saved)`);
+  } catch (error) {
+    console.error(`Job ${job._id} failed:`, error.message);
+
+    job.lastError = error.message;
+
+    if (job.attempts < job.maxAttempts) {
+      // Re-queue with backoff
+      job.status = 'queued';
+      job.runAfter = new Date(Date.now() + getBackoffDelay(job.attempts));
+    } else {
+      job.status = 'failed';
+      job.finishedAt = new Date();
+    }
+
+    await job.save();
+  }
+
+  return true;
+}
+
+/**
+ * Process queued jobs one at a time until none are due
+ */
+async function processQueue() {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    while (await runNextJob()) {
+      // Keep going while there is due work
+    }
+  } catch (error) {
+    console.error('Error processing job queue:', error.message);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Re-queue jobs left in the running state by a previous process
+ * @returns {Promise<number>} Number of resumed jobs
+ */
+async function resumeInterruptedJobs() {
+  const result = await Job.updateMany(
+    { status: 'running' },
+    { $set: { status: 'queued', runAfter: new Date() } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Resumed ${result.modifiedCount} interrupted job(s)`);
+  }
+
+  return result.modifiedCount;
+}
+
+/**
+ * Start the background worker that polls for queued jobs
+ */
+async function startWorker() {
+  if (pollTimer) return;
+
+  try {
+    await resumeInterruptedJobs();
+  } catch (error) {
+    console.error('Error resuming interrupted jobs:', error.message);
+  }
+
+  pollTimer = setInterval(processQueue, config.jobs.pollIntervalMs);
+  processQueue();
+
+  console.log('Job worker started');
+}
+
+/**
+ * Stop the background worker
+ */
+function stopWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  enqueueJob,
+  cancelJob,
+  startWorker,
+  stopWorker,
+  processQueue
+};
@@ -0,0 +1,284 @@
+const axios = require('axios');
+const config = require('../config/config');
+const brands = require('./brands');
+
+// Shortener domains whose links are expanded before classification
+const SHORTENER_DOMAINS = [
+  'bit.ly', 'amzn.to', 'geni.us', 'tinyurl.com', 'goo.gl', 't.co', 'ow.ly',
+  'rebrand.ly', 'cutt.ly', 'shorturl.at', 'buff.ly', 'lnk.to', 'trib.al', 'kit.co'
+];
+
+// Domains and query parameters that mark affiliate links
+const AFFILIATE_DOMAINS = [
+  'amzn.to', 'geni.us', 'shareasale.com', 'awin1.com', 'rstyle.me', 'shopstyle.it',
+  'howl.me', 'clickbank.net', 'anrdoezrs.net', 'jdoqocy.com', 'tkqlhce.com', 'dpbolvw.net',
+  'sjv.io', 'pxf.io', 'ltk.app', 'liketoknow.it'
+];
+const AFFILIATE_PARAMS = ['tag', 'ref', 'aff', 'affiliate', 'aff_id', 'affid', 'irclickid', 'ref_id', 'referral'];
+
+const SOCIAL_DOMAINS = [
+  'youtube.com', 'youtu.be', 'instagram.com', 'twitter.com', 'x.com', 'tiktok.com',
+  'facebook.com', 'twitch.tv', 'discord.gg', 'discord.com', 'threads.net', 'linkedin.com',
+  'reddit.com', 'snapchat.com', 'pinterest.com', 'patreon.com'
+];
+
+const MERCH_DOMAINS = [
+  'teespring.com', 'spring.com', 'creator-spring.com', 'spreadshirt.com', 'fourthwall.com',
+  'represent.com', 'bonfire.com', 'redbubble.com', 'merchbar.com'
+];
+
+const UTM_PARAMS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+// Words that follow "code" in descriptions but are not codes
+const NON_CODE_WORDS = ['BELOW', 'ABOVE', 'HERE', 'AT', 'IN', 'FOR', 'TO', 'THE', 'AND', 'LINK', 'CHECKOUT'];
+
+// Successful expansions by short link, kept for config.links.cacheTtlMs and capped at
+// config.links.cacheMaxEntries (oldest evicted first)
+const expansionCache = new Map();
+
+/**
+ * Default link resolver: follows redirects over HTTP and returns the final URL
+ * @param {string} url - Short link
+ * @returns {Promise<string>} Expanded URL
+ */
+async function httpLinkResolver(url) {
+  const response = await axios.head(url, {
+    maxRedirects: 10,
+    timeout: config.links.resolveTimeoutMs,
+    validateStatus: () => true
+  });
+
+  return response.request?.res?.responseUrl || url;
+}
+
+// Offline resolver leaves links unexpanded
+const noopLinkResolver = async url => url;
+
+let linkResolver = config.links.resolver === 'http' ? httpLinkResolver : noopLinkResolver;
+
+/**
+ * Replace the link resolver (e.g. with a fixture map in tests or offline runs)
+ * @param {Function} resolver - Async function mapping a short URL to its expanded URL
+ */
+function setLinkResolver(resolver) {
+  linkResolver = resolver || noopLinkResolver;
+  expansionCache.clear();
+}
+
+/**
+ * Get the hostname of a URL without the www. prefix
+ * @param {string} url - URL
+ * @returns {string|null} Hostname or null if the URL is invalid
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a domain is one of a list of domains or a subdomain of one
+ * @param {string} domain - Domain to check
+ * @param {Array} list - Domains to match
+ * @returns {boolean}
+ */
+function domainMatches(domain, list) {
+  return list.some(entry => domain === entry || domain.endsWith(`.${entry}`));
+}
+
+/**
+ * Remember a successful expansion, evicting the oldest entries beyond the cache size limit
+ * @param {string} url - Short link
+ * @param {string} expanded - Expanded URL
+ */
+function cacheExpansion(url, expanded) {
+  expansionCache.delete(url);
+  expansionCache.set(url, { expanded, resolvedAt: Date.now() });
+
+  while (expansionCache.size > config.links.cacheMaxEntries) {
+    expansionCache.delete(expansionCache.keys().next().value);
+  }
+}
+
+/**
+ * Expand a link if it uses a known shortener
+ * Failed lookups and links that did not redirect are not cached, so they are retried next time
+ * @param {string} url - Link from a description
+ * @returns {Promise<string>} Expanded URL (the original URL if not shortened or on failure)
+ */
+async function expandLink(url) {
+  const domain = getDomain(url);
+  if (!domain || !domainMatches(domain, SHORTENER_DOMAINS)) {
+    return url;
+  }
+
+  const cached = expansionCache.get(url);
+  if (cached && Date.now() - cached.resolvedAt < config.links.cacheTtlMs) {
+    return cached.expanded;
+  }
+
+  try {
+    const expanded = (await linkResolver(url)) || url;
+    if (expanded !== url) cacheExpansion(url, expanded);
+    return expanded;
+  } catch (error) {
+    console.error(`Error expanding link ${url}:`, error.message);
+    return url;
+  }
+}
+
+/**
+ * Parse UTM parameters from a URL
+ * @param {URL} parsedUrl - Parsed URL
+ * @returns {Object|null} UTM values keyed without the utm_ prefix, or null if none
+ */
+function parseUtm(parsedUrl) {
+  const utm = {};
+
+  for (const param of UTM_PARAMS) {
+    const value = parsedUrl.searchParams.get(`utm_${param}`);
+    if (value) utm[param] = value;
+  }
+
+  return Object.keys(utm).length > 0 ? utm : null;
+}
+
+/**
+ * Classify a link as affiliate, sponsor, social, merch or other
+ * @param {string} url - Link as written in the description
+ * @param {string} expandedUrl - Link after shortener expansion
+ * @returns {Object} Link details with domain, category, UTM parameters and brand
+ */
+function classifyLink(url, expandedUrl) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(expandedUrl);
+  } catch (error) {
+    parsedUrl = new URL(url);
+  }
+
+  const domain = parsedUrl.hostname.toLowerCase().replace(/^www\./, '');
+  const originalDomain = getDomain(url);
+  const utm = parseUtm(parsedUrl);
+  const [brand] = brands.resolveBrandLinks(`${domain} ${originalDomain}`);
+  const paramNames = [...parsedUrl.searchParams.keys()].map(name => name.toLowerCase());
+
+  let category = 'other';
+  if (domainMatches(domain, SOCIAL_DOMAINS)) {
+    category = 'social';
+  } else if (domainMatches(domain, MERCH_DOMAINS) || /(^|\.)(merch|shop|store)\./.test(domain) ||
+    /\/merch\b/i.test(parsedUrl.pathname)) {
+    category = 'merch';
+  } else if (domainMatches(domain, AFFILIATE_DOMAINS) || domainMatches(originalDomain || '', AFFILIATE_DOMAINS) ||
+    paramNames.some(name => AFFILIATE_PARAMS.includes(name))) {
+    category = 'affiliate';
+  } else if (brand || utm) {
+    // Known brands and creator-specific UTM tracking are how sponsors measure reads
+    category = 'sponsor';
+  }
+
+  return {
+    url,
+    expandedUrl: expandedUrl !== url ? expandedUrl : null,
+    domain,
+    category,
+    utm,
+    brand: brand || null
+  };
+}
+
+/**
+ * Extract promo codes from text
+ * @param {string} text - Text to analyze
+ * @returns {Array} Codes with the discount and brand found in the same sentence
+ */
+function extractPromoCodes(text) {
+  if (!text) return [];
+
+  const codes = new Map();
+  const codeRegex = /\b(?:(?:use|with|enter|apply)\s+(?:my\s+|the\s+|our\s+)?(?:promo\s+|discount\s+|coupon\s+)?code|(?:promo|discount|coupon)\s+code)\s*[:\-]?\s*["'“]?([A-Za-z0-9][A-Za-z0-9_-]{2,24})/gi;
+
+  // Look at each sentence/line so discounts and brands are tied to the right code
+  for (const sentence of text.split(/\n+|[.!?]+\s+/)) {
+    for (const match of sentence.matchAll(codeRegex)) {
+      const code = match[1].toUpperCase();
+      if (NON_CODE_WORDS.includes(code) || codes.has(code)) continue;
+
+      const discountMatch = sentence.match(/(\d{1,3})\s?%\s?off/i) || sentence.match(/(\$\d+(?:\.\d{2})?)\s?off/i);
+      const [brand] = brands.resolveBrands(sentence);
+
+      codes.set(code, {
+        code,
+        discount: discountMatch ? discountMatch[0] : null,
+        brand: brand || null,
+        context: sentence.trim().substring(0, 200)
+      });
+    }
+  }
+
+  return [...codes.values()];
+}
+
+/**
+ * Extract and classify links and promo codes from a video description
+ * @param {string} description - Video description
+ * @returns {Promise<Object>} { links, promoCodes }
+ */
+async function analyzeDescriptionLinks(description) {
+  if (!description) {
+    return { links: [], promoCodes: [] };
+  }
+
+  const urls = [...new Set(
+    (description.match(/https?:\/\/[^\s<>"')\]]+/gi) || [])
+      .map(url => url.replace(/[.,;:!?]+$/, ''))
+  )];
+
+  const links = [];
+  for (const url of urls) {
+    if (!getDomain(url)) continue;
+
+    const expandedUrl = await expandLink(url);
+    links.push(classifyLink(url, expandedUrl));
+  }
+
+  return { links, promoCodes: extractPromoCodes(description) };
+}
+
+/**
+ * Merge link and promo code evidence into sponsorship info
+ * Affiliate and sponsor links and promo codes all count as sponsorship evidence
+ * @param {Object} sponsorshipInfo - Sponsorship info from detectSponsorship
+ * @param {Object} evidence - { links, promoCodes } from analyzeDescriptionLinks
+ * @returns {Object} Updated sponsorship info
+ */
+function applyLinkEvidence(sponsorshipInfo, evidence) {
+  const info = { ...sponsorshipInfo, links: evidence.links, promoCodes: evidence.promoCodes };
+  const indicators = new Set(info.adIndicators || []);
+
+  if (evidence.links.some(link => link.category === 'affiliate')) indicators.add('affiliate link');
+  if (evidence.links.some(link => link.category === 'sponsor')) indicators.add('sponsor link');
+  if (evidence.promoCodes.length > 0) indicators.add('promo code');
+
+  const linkedBrands = [...evidence.links, ...evidence.promoCodes]
+    .map(entry => entry.brand)
+    .filter(Boolean);
+
+  info.adIndicators = [...indicators];
+  info.detectedBrands = [...new Set([...(info.detectedBrands || []), ...linkedBrands])];
+  info.hasSponsorship = info.hasSponsorship || indicators.has('affiliate link') ||
+    indicators.has('sponsor link') || indicators.has('promo code');
+
+  return info;
+}
+
+module.exports = {
+  analyzeDescriptionLinks,
+  applyLinkEvidence,
+  extractPromoCodes,
+  classifyLink,
+  expandLink,
+  setLinkResolver
+};
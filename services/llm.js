@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const OpenAI = require('openai');
+const config = require('../config/config');
+
+// API clients, created on first use so unused providers need no credentials
+const clients = {};
+
+/**
+ * Get or create a cached API client
+ * @param {string} name - Client name
+ * @param {Function} create - Creates the client
+ * @returns {Object} Client
+ */
+function getClient(name, create) {
+  if (!clients[name]) {
+    clients[name] = create();
+  }
+  return clients[name];
+}
+
+/**
+ * Generate text with an OpenAI chat completions client
+ * @param {Object} client - OpenAI client
+ * @param {string} prompt - Prompt text
+ * @param {string} modelName - Model name
+ * @returns {Promise<string>} Response text
+ */
+async function generateChatCompletion(client, prompt, modelName) {
+  const completion = await client.chat.completions.create({
+    model: modelName,
+    messages: [{ role: 'user', content: prompt }]
+  });
+
+  return completion.choices[0]?.message?.content || '';
+}
+
+/**
+ * Deterministic response for tests and offline runs
+ * The same prompt always gives the same answer; prompts asking for JSON get a JSON analysis
+ * @param {string} prompt - Prompt text
+ * @returns {string} Response text
+ */
+function generateFixtureResponse(prompt) {
+  const hash = crypto.createHash('sha256').update(prompt).digest('hex');
+  const isSponsored = /Has Sponsorship: true/.test(prompt);
+
+  if (/\bJSON\b/.test(prompt)) {
+    const brandsLine = prompt.match(/Detected Brands: (.*)/);
+    const brandNames = brandsLine ? brandsLine[1].split(',').map(name => name.trim()).filter(Boolean) : [];
+
+    return JSON.stringify({
+      summary: `Fixture analysis ${hash.substring(0, 12)}`,
+      adFormat: isSponsored ? 'short-form' : 'none',
+      narrativeStyle: isSponsored ? 'integrated' : 'none',
+      ctaTypes: isSponsored ? ['promo-code', 'link'] : [],
+      brands: brandNames.map(name => ({ name, confidence: 0.9 })),
+      placement: isSponsored ? 'mid-roll' : 'none',
+      audienceReaction: 'neutral',
+      recommendations: isSponsored ? ['Place the read in the first third of the video'] : []
+    });
+  }
+
+  return [
+    `Fixture analysis ${hash.substring(0, 12)}`,
+    `1. Ad Style: ${isSponsored ? 'Short-form integrated sponsor read with a promo code CTA' : 'No sponsor read detected'}`,
+    '2. Brand Mentions and Product Placements: See detected brands',
+    '3. Audience Engagement with Ads: Neutral',
+    '4. Effectiveness of Ad Placement: Average',
+    '5. Recommendations for Improving Ad Performance: Place the read in the first third of the video'
+  ].join('\n');
+}
+
+// Providers by name; each generates text for a prompt with a given model
+const providers = {
+  gemini: {
+    async generate(prompt, modelName) {
+      const genAI = getClient('gemini', () => new GoogleGenerativeAI(config.geminiApiKey));
+      const result = await genAI.getGenerativeModel({ model: modelName }).generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    }
+  },
+  openai: {
+    async generate(prompt, modelName) {
+      const client = getClient('openai', () => new OpenAI({ apiKey: config.openaiApiKey }));
+      return generateChatCompletion(client, prompt, modelName);
+    }
+  },
+  local: {
+    async generate(prompt, modelName) {
+      const client = getClient('local', () => new OpenAI({
+        apiKey: config.llm.localApiKey,
+        baseURL: config.llm.localBaseUrl
+      }));
+      return generateChatCompletion(client, prompt, modelName);
+    }
+  },
+  fixture: {
+    async generate(prompt) {
+      return generateFixtureResponse(prompt);
+    }
+  }
+};
+
+/**
+ * Check whether a provider name is supported
+ * @param {string} provider - Provider name
+ * @returns {boolean}
+ */
+function isSupportedProvider(provider) {
+  return Object.prototype.hasOwnProperty.call(providers, provider);
+}
+
+/**
+ * Fill in the default provider and model
+ * @param {Object} options - { provider, model }, both optional
+ * @returns {Object} { provider, model }
+ */
+function resolveLlmOptions(options = {}) {
+  const provider = options.provider || config.llm.provider;
+  if (!isSupportedProvider(provider)) {
+    throw new Error(`Unsupported LLM provider: ${provider}. Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return {
+    provider,
+    model: options.model || config.llm.models[provider]
+  };
+}
+
+/**
+ * Generate text with the selected LLM provider
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { provider, model }, defaults from config
+ * @returns {Promise<Object>} { text, provider, model }
+ */
+async function generateText(prompt, options = {}) {
+  const { provider, model } = resolveLlmOptions(options);
+  const text = await providers[provider].generate(prompt, model);
+
+  return { text: (text || '').trim(), provider, model };
+}
+
+/**
+ * Extract a JSON object from model output
+ * Models often wrap JSON in markdown fences or add a sentence around it
+ * @param {string} text - Model output
+ * @returns {Object} { value } or { error }
+ */
+function parseJsonResponse(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  let candidate = fenced ? fenced[1] : text;
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return { error: 'Response does not contain a JSON object' };
+  }
+  candidate = candidate.substring(start, end + 1);
+
+  try {
+    return { value: JSON.parse(candidate) };
+  } catch (error) {
+    return { error: `Invalid JSON: ${error.message}` };
+  }
+}
+
+/**
+ * Generate a JSON response and validate it against a schema
+ * Invalid responses get a repair pass: the model is shown its answer and the validation
+ * errors and asked for corrected JSON, up to config.llm.maxRepairAttempts times
+ * @param {string} prompt - Prompt text asking for JSON
+ * @param {Object} schema - { validate, description } where validate returns { valid, errors, value }
+ * @param {Object} options - { provider, model }, defaults from config
+ * @returns {Promise<Object>} { value, valid, errors, text, repairAttempts, provider, model }
+ */
+async function generateJson(prompt, schema, options = {}) {
+  const { provider, model } = resolveLlmOptions(options);
+  let text = await providers[provider].generate(prompt, model);
+  let repairAttempts = 0;
+
+  while (true) {
+    const parsed = parseJsonResponse(text || '');
+    const result = parsed.error
+      ? { valid: false, errors: [parsed.error], value: null }
+      : schema.validate(parsed.value);
+
+    if (result.valid || repairAttempts >= config.llm.maxRepairAttempts) {
+      return { ...result, text: (text || '').trim(), repairAttempts, provider, model };
+    }
+
+    repairAttempts++;
+    console.log(`Invalid JSON from ${provider}/${model} (${result.errors.join('; ')}), repair attempt ${repairAttempts}`);
+
+    const repairPrompt = `Your previous response did not match the required JSON schema.
+
+Errors:
+${result.errors.map(error => `- ${error}`).join('\n')}
+
+Required schema:
+${schema.description}
+
+Previous response:
+${text}
+
+Respond with only the corrected JSON object, without markdown or commentary.`;
+
+    text = await providers[provider].generate(repairPrompt, model);
+  }
+}
+
+module.exports = {
+  generateText,
+  generateJson,
+  resolveLlmOptions
+};
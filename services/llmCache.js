@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const LlmCacheEntry = require('../models/llmCacheEntry');
+const prompts = require('./prompts');
+
+// Prompt variables left out of the cache key: stats that drift as a video gains views
+const VOLATILE_VARIABLES = ['engagementRate'];
+
+/**
+ * Build the cache key for an analysis
+ * Every prompt variable is hashed (title, description, tags, sponsorship fields, sampled
+ * comments, ...), so a brand dictionary change, backfill or caption upload that changes the
+ * sponsorship data misses the cache. Stats are left out so an unchanged video keeps hitting
+ * the cache as it gains views
+ * @param {Object} videoData - Video data (from getVideoDetails or a stored Video)
+ * @param {Array} comments - Comments; only the sample sent to the model is hashed
+ * @param {Object} promptTemplate - { name, version }
+ * @param {Object} llmOptions - { provider, model }
+ * @returns {string} SHA-256 hex digest
+ */
+function buildCacheKey(videoData, comments, promptTemplate, llmOptions) {
+  const variables = prompts.buildPromptVariables(videoData, comments);
+  for (const name of VOLATILE_VARIABLES) delete variables[name];
+
+  const inputs = {
+    variables,
+    template: `${promptTemplate.name}@${promptTemplate.version}`,
+    provider: llmOptions.provider,
+    model: llmOptions.model
+  };
+
+  return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+}
+
+/**
+ * Look up a cached response and count the hit
+ * @param {string} key - Cache key from buildCacheKey
+ * @returns {Promise<Object|null>} Response in the generateJson shape, or null on a miss
+ */
+async function getCachedResponse(key) {
+  try {
+    const entry = await LlmCacheEntry.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+      { new: true }
+    );
+    if (!entry) return null;
+
+    return {
+      value: entry.value,
+      valid: true,
+      errors: [],
+      text: entry.text,
+      repairAttempts: entry.repairAttempts || 0
+    };
+  } catch (error) {
+    console.error('Error reading LLM cache:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a validated response
+ * @param {string} key - Cache key from buildCacheKey
+ * @param {Object} entry - { provider, model, promptTemplate, response }
+ */
+async function saveCachedResponse(key, { provider, model, promptTemplate, response }) {
+  try {
+    await LlmCacheEntry.findOneAndUpdate(
+      { key },
+      {
+        $set: {
+          provider,
+          model,
+          promptTemplate,
+          value: response.value,
+          text: response.text,
+          repairAttempts: response.repairAttempts,
+          expiresAt: new Date(Date.now() + config.llm.cacheTtlDays * 24 * 60 * 60 * 1000)
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Error writing LLM cache:', error.message);
+  }
+}
+
+module.exports = {
+  buildCacheKey,
+  getCachedResponse,
+  saveCachedResponse
+};
@@ -0,0 +1,203 @@
+const config = require('../config/config');
+const PromptTemplate = require('../models/promptTemplate');
+const analysisSchema = require('./analysisSchema');
+
+// Template used by analyzeVideoContent
+const AD_ANALYSIS_TEMPLATE = 'ad-analysis';
+
+// Placeholders available to templates, filled in by buildPromptVariables
+const PROMPT_VARIABLES = [
+  'title',
+  'description',
+  'tags',
+  'sponsorship',
+  'hasSponsorship',
+  'sponsorshipDetails',
+  'detectedBrands',
+  'engagementRate',
+  'comments',
+  'schema'
+];
+
+// Built-in ad analysis prompt, seeded as version 1 and used if no version is active
+const DEFAULT_AD_ANALYSIS_BODY = `You are an expert at analyzing YouTube video content and providing insights about advertising and sponsorship.
+
+Analyze this YouTube video content for ad insights:
+
+Title: {{title}}
+Description: {{description}}
+Tags: {{tags}}
+{{sponsorship}}
+Engagement Rate: {{engagementRate}}%
+
+Comment Samples:
+{{comments}}
+
+Analyze the ad style (long-form vs short-form, narrative style, CTAs), brand mentions and product placements, audience engagement with the ads, the ad placement and how ad performance could be improved.
+
+Respond with only a JSON object matching this schema, without markdown or commentary:
+{{schema}}`;
+
+const PLACEHOLDER_REGEX = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Seed the built-in ad analysis template when no version of it exists
+ * @returns {Promise<boolean>} True if the template was seeded
+ */
+async function seedPromptTemplates() {
+  const existing = await PromptTemplate.exists({ name: AD_ANALYSIS_TEMPLATE });
+  if (existing) return false;
+
+  await PromptTemplate.create({
+    name: AD_ANALYSIS_TEMPLATE,
+    version: 1,
+    body: DEFAULT_AD_ANALYSIS_BODY,
+    description: 'Built-in default',
+    isActive: true,
+    activatedAt: new Date()
+  });
+
+  console.log(`Seeded prompt template ${AD_ANALYSIS_TEMPLATE} (version 1)`);
+  return true;
+}
+
+/**
+ * Get the active version of a template
+ * Falls back to the built-in ad analysis prompt (version 0) if none is active
+ * @param {string} name - Template name
+ * @returns {Promise<Object|null>} { name, version, body } or null for unknown templates
+ */
+async function getActiveTemplate(name = AD_ANALYSIS_TEMPLATE) {
+  try {
+    const template = await PromptTemplate.findOne({ name, isActive: true }).sort({ activatedAt: -1 });
+    if (template) {
+      return { name: template.name, version: template.version, body: template.body };
+    }
+  } catch (error) {
+    console.error(`Error loading prompt template ${name}:`, error.message);
+  }
+
+  return name === AD_ANALYSIS_TEMPLATE
+    ? { name, version: 0, body: DEFAULT_AD_ANALYSIS_BODY }
+    : null;
+}
+
+/**
+ * Find placeholders in a template body that are not known variables
+ * @param {string} body - Template body
+ * @returns {Array} Unknown placeholder names
+ */
+function findUnknownPlaceholders(body) {
+  const names = [...body.matchAll(PLACEHOLDER_REGEX)].map(match => match[1]);
+  return [...new Set(names.filter(name => !PROMPT_VARIABLES.includes(name)))];
+}
+
+/**
+ * Pick the comments shown to the model
+ * Replies are out of context without their thread, and spam would skew the analysis
+ * @param {Array} comments - Comments with a text field
+ * @returns {Array} Up to config.prompts.commentSampleSize top-level, non-spam comments
+ */
+function sampleComments(comments) {
+  return (comments || [])
+    .filter(c => !c.parentId && !(c.spam && c.spam.isSpam))
+    .slice(0, config.prompts.commentSampleSize);
+}
+
+/**
+ * Build the values of the template placeholders for a video
+ * @param {Object} videoData - Video data (from getVideoDetails or a stored Video)
+ * @param {Array} comments - Comments with a text field
+ * @returns {Object} Placeholder values by name
+ */
+function buildPromptVariables(videoData, comments) {
+  const { title, description, tags, engagementMetrics } = videoData;
+  const sponsorshipInfo = videoData.sponsorshipInfo || {};
+  const detectedBrands = (sponsorshipInfo.detectedBrands || []).join(', ');
+
+  return {
+    title: title || '',
+    description: (description || '').substring(0, config.prompts.maxDescriptionLength),
+    tags: tags ? tags.join(', ') : '',
+    sponsorship: [
+      `Has Sponsorship: ${Boolean(sponsorshipInfo.hasSponsorship)}`,
+      `Sponsorship Details: ${sponsorshipInfo.sponsorshipDetails || ''}`,
+      `Detected Brands: ${detectedBrands}`
+    ].join('\n'),
+    hasSponsorship: String(Boolean(sponsorshipInfo.hasSponsorship)),
+    sponsorshipDetails: sponsorshipInfo.sponsorshipDetails || '',
+    detectedBrands,
+    engagementRate: ((engagementMetrics && engagementMetrics.overallEngagementRate) || 0).toFixed(2),
+    comments: sampleComments(comments).map(c => c.text).join('\n'),
+    schema: analysisSchema.ANALYSIS_SCHEMA_DESCRIPTION
+  };
+}
+
+/**
+ * Fill in the placeholders of a template body
+ * @param {string} body - Template body
+ * @param {Object} variables - Placeholder values from buildPromptVariables
+ * @returns {string} Prompt text
+ */
+function renderPrompt(body, variables) {
+  return body.replace(PLACEHOLDER_REGEX, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : placeholder);
+}
+
+/**
+ * Store a new version of a template
+ * @param {string} name - Template name
+ * @param {Object} fields - { body, description, activate }
+ * @returns {Promise<Object>} Created template version
+ */
+async function createTemplateVersion(name, { body, description, activate }) {
+  const previous = await PromptTemplate.findOne({ name })
+    .sort({ version: -1 })
+    .select('version');
+  const version = previous ? previous.version + 1 : 1;
+
+  const template = await PromptTemplate.create({ name, version, body, description });
+
+  if (activate) {
+    return activateTemplateVersion(name, version);
+  }
+
+  return template;
+}
+
+/**
+ * Make a template version the active one for its name
+ * @param {string} name - Template name
+ * @param {number} version - Version to activate
+ * @returns {Promise<Object|null>} Activated template or null if the version does not exist
+ */
+async function activateTemplateVersion(name, version) {
+  const template = await PromptTemplate.findOne({ name, version });
+  if (!template) return null;
+
+  // Activate before deactivating the others so a failure in between never leaves no active version
+  template.isActive = true;
+  template.activatedAt = new Date();
+  await template.save();
+
+  await PromptTemplate.updateMany(
+    { name, _id: { $ne: template._id }, isActive: true },
+    { $set: { isActive: false } }
+  );
+
+  console.log(`Activated prompt template ${name} version ${version}`);
+  return template;
+}
+
+module.exports = {
+  AD_ANALYSIS_TEMPLATE,
+  PROMPT_VARIABLES,
+  seedPromptTemplates,
+  getActiveTemplate,
+  findUnknownPlaceholders,
+  sampleComments,
+  buildPromptVariables,
+  renderPrompt,
+  createTemplateVersion,
+  activateTemplateVersion
+};
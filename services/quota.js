@@ -0,0 +1,239 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config/config');
+const QuotaUsage = require('../models/quotaUsage');
+
+// Unit cost of each YouTube Data API operation
+// See https://developers.google.com/youtube/v3/determine_quota_cost
+const OPERATION_COSTS = {
+  'search.list': 100,
+  'videos.list': 1,
+  'channels.list': 1,
+  'playlistItems.list': 1,
+  'commentThreads.list': 1,
+  'comments.list': 1
+};
+
+// Carries the caller (route or background task) through async API calls
+const callerStorage = new AsyncLocalStorage();
+
+// In-memory running total for the current quota day
+let spentCache = { day: null, units: 0 };
+
+/**
+ * Error thrown when a call would exceed the daily quota budget
+ */
+class QuotaExceededError extends Error {
+  constructor(operation, spent, budget) {
+    super(`YouTube API daily quota budget exceeded (${spent}/${budget} units used, ${operation} blocked)`);
+    this.name = 'QuotaExceededError';
+    this.operation = operation;
+    this.spent = spent;
+    this.budget = budget;
+    this.resetAt = getQuotaResetTime();
+  }
+}
+
+/**
+ * Get the quota day key (YouTube quotas reset at midnight Pacific Time)
+ * @param {Date} date - Date to convert
+ * @returns {string} Day in YYYY-MM-DD format
+ */
+function getQuotaDay(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: config.quota.timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+/**
+ * Get the time at which the current quota day ends
+ * @returns {Date} Next quota reset time
+ */
+function getQuotaResetTime() {
+  const now = new Date();
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: config.quota.timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+
+  const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+  const secondsIntoDay = get('hour') * 3600 + get('minute') * 60 + get('second');
+
+  return new Date(now.getTime() + (24 * 3600 - secondsIntoDay) * 1000);
+}
+
+/**
+ * Express middleware that attributes YouTube API calls to the matched route
+ */
+function trackCaller(req, res, next) {
+  callerStorage.run({ req, critical: true }, next);
+}
+
+/**
+ * Express middleware that marks a route's YouTube API calls non-critical
+ * Used on bulk ingest routes so they stop before the critical reserve, like scheduled tasks
+ */
+function nonCritical(req, res, next) {
+  callerStorage.run({ req, critical: false }, next);
+}
+
+/**
+ * Run a function with YouTube API calls attributed to a background task
+ * Background calls are non-critical and are blocked before the critical reserve is used
+ * @param {string} caller - Caller name (e.g. 'cron:daily-fetch')
+ * @param {Function} fn - Async function to run
+ * @param {Object} options - { critical: boolean }
+ * @returns {Promise<*>} Result of fn
+ */
+function runWithCaller(caller, fn, options = {}) {
+  return callerStorage.run({ caller, critical: Boolean(options.critical) }, fn);
+}
+
+/**
+ * Resolve the current caller context
+ * @returns {Object} { caller, critical }
+ */
+function getCallerContext() {
+  const context = callerStorage.getStore();
+
+  if (!context) {
+    return { caller: 'unknown', critical: false };
+  }
+
+  if (context.caller) {
+    return context;
+  }
+
+  // Use the route pattern rather than the raw URL so IDs don't split the ledger
+  const { req } = context;
+  const path = req.route ? `${req.baseUrl}${req.route.path}` : req.path;
+  return { caller: `${req.method} ${path}`, critical: context.critical };
+}
+
+/**
+ * Get the units spent so far in the current quota day
+ * @returns {Promise<number>} Units spent today
+ */
+async function getSpentToday() {
+  const day = getQuotaDay();
+
+  if (spentCache.day !== day) {
+    const totals = await QuotaUsage.aggregate([
+      { $match: { day } },
+      { $group: { _id: null, units: { $sum: '$units' } } }
+    ]);
+    spentCache = { day, units: totals[0] ? totals[0].units : 0 };
+  }
+
+  return spentCache.units;
+}
+
+/**
+ * Record quota usage in the ledger
+ * @param {string} operation - API operation name
+ * @param {string} caller - Caller name
+ * @param {Object} inc - Counters to increment
+ */
+async function recordUsage(operation, caller, inc) {
+  const day = getQuotaDay();
+
+  if (spentCache.day === day) {
+    spentCache.units += inc.units || 0;
+  }
+
+  try {
+    await QuotaUsage.updateOne(
+      { day, operation, caller },
+      { $inc: inc },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`Error recording quota usage for ${operation}:`, error.message);
+  }
+}
+
+/**
+ * Run a YouTube API call after checking it against the daily budget, then record its cost
+ * @param {string} operation - API operation name (e.g. 'videos.list')
+ * @param {Function} apiCall - Function performing the API request
+ * @returns {Promise<*>} API response
+ */
+async function track(operation, apiCall) {
+  const cost = OPERATION_COSTS[operation] || 1;
+  const { caller, critical } = getCallerContext();
+
+  const spent = await getSpentToday();
+  const limit = critical
+    ? config.quota.dailyBudget
+    : config.quota.dailyBudget - config.quota.criticalReserve;
+
+  if (spent + cost > limit) {
+    await recordUsage(operation, caller, { blocked: 1 });
+    throw new QuotaExceededError(operation, spent, limit);
+  }
+
+  // Failed requests are still charged by the API, so record before the result is known
+  await recordUsage(operation, caller, { units: cost, calls: 1 });
+
+  return apiCall();
+}
+
+/**
+ * Build a quota usage report for a day
+ * @param {string} day - Day in YYYY-MM-DD format (defaults to today)
+ * @returns {Promise<Object>} Spend by operation and by caller
+ */
+async function getQuotaReport(day = getQuotaDay()) {
+  const entries = await QuotaUsage.find({ day });
+
+  const byOperation = {};
+  const byCaller = {};
+  let spent = 0;
+  let blocked = 0;
+
+  for (const entry of entries) {
+    spent += entry.units;
+    blocked += entry.blocked;
+
+    for (const [group, key] of [[byOperation, entry.operation], [byCaller, entry.caller]]) {
+      if (!group[key]) {
+        group[key] = { units: 0, calls: 0, blocked: 0 };
+      }
+      group[key].units += entry.units;
+      group[key].calls += entry.calls;
+      group[key].blocked += entry.blocked;
+    }
+  }
+
+  const isToday = day === getQuotaDay();
+
+  return {
+    day,
+    budget: config.quota.dailyBudget,
+    criticalReserve: config.quota.criticalReserve,
+    spent,
+    remaining: Math.max(0, config.quota.dailyBudget - spent),
+    blocked,
+    resetAt: isToday ? getQuotaResetTime() : null,
+    operationCosts: OPERATION_COSTS,
+    byOperation,
+    byCaller
+  };
+}
+
+module.exports = {
+  QuotaExceededError,
+  OPERATION_COSTS,
+  track,
+  trackCaller,
+  nonCritical,
+  runWithCaller,
+  getQuotaDay,
+  getQuotaResetTime,
+  getQuotaReport
+};
@@ -0,0 +1,426 @@
+const config = require('../config/config');
+const Video = require('../models/video');
+const ScoringProfile = require('../models/scoringProfile');
+
+// Components of the ad effectiveness score, each scored 0-100
+const SCORE_COMPONENTS = ['engagement', 'reach', 'sentiment', 'adReception'];
+
+// Built-in profile, seeded as version 1 of config.scoring.defaultProfile and used if no version is active
+const DEFAULT_PROFILE = {
+  weights: { engagement: 0.35, reach: 0.15, sentiment: 0.3, adReception: 0.2 },
+  engagementWeights: { likes: 0.7, comments: 0.3 },
+  baselineWeights: { channel: 0.7, category: 0.3 },
+  minBaselineVideos: 5
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Baseline samples by channel or category, reloaded after config.scoring.baselineCacheTtlMs
+const baselineCache = new Map();
+
+/**
+ * Clamp a number to the 0-100 score range
+ * @param {number} value - Value
+ * @returns {number} Clamped value
+ */
+function clampScore(value) {
+  return Math.max(0, Math.min(100, value));
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Engagement rate with likes and comments weighted
+ * @param {Object} engagementMetrics - { likeToViewRatio, commentToViewRatio } in percent
+ * @param {Object} engagementWeights - { likes, comments }
+ * @returns {number} Weighted engagement rate
+ */
+function weightedEngagementRate(engagementMetrics, engagementWeights = DEFAULT_PROFILE.engagementWeights) {
+  const metrics = engagementMetrics || {};
+  return ((metrics.likeToViewRatio || 0) * engagementWeights.likes) +
+    ((metrics.commentToViewRatio || 0) * engagementWeights.comments);
+}
+
+/**
+ * Average daily views since publication, so older videos are not favored for having had longer
+ * @param {Object} video - { viewCount, publishedAt }
+ * @param {Date} now - Reference time
+ * @returns {number|null} Views per day, or null without a publication date
+ */
+function viewsPerDay(video, now = new Date()) {
+  if (!video.publishedAt) return null;
+
+  const ageDays = Math.max(1, (now - new Date(video.publishedAt)) / MS_PER_DAY);
+  return (video.viewCount || 0) / ageDays;
+}
+
+/**
+ * Load the recent videos a baseline is computed from, cached per channel or category
+ * @param {string} key - Cache key, e.g. 'channel:UC...'
+ * @param {Object} filter - Video query
+ * @returns {Promise<Array>} Samples with videoId, engagementMetrics, viewCount and publishedAt
+ */
+async function loadBaselineSamples(key, filter) {
+  const cached = baselineCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < config.scoring.baselineCacheTtlMs) {
+    return cached.samples;
+  }
+
+  const samples = await Video.find({ ...filter, viewCount: { $gt: 0 } })
+    .sort({ publishedAt: -1 })
+    .limit(config.scoring.baselineSampleSize)
+    .select('videoId viewCount publishedAt engagementMetrics.likeToViewRatio engagementMetrics.commentToViewRatio')
+    .lean();
+
+  baselineCache.set(key, { samples, loadedAt: Date.now() });
+  return samples;
+}
+
+/**
+ * Compute median engagement and reach from baseline samples
+ * @param {Array} samples - Samples from loadBaselineSamples
+ * @param {Object} profile - Scoring profile
+ * @param {string} videoId - Video being scored, left out of its own baseline
+ * @returns {Object|null} { videos, engagementRate, viewsPerDay }, or null with too few videos
+ */
+function computeBaseline(samples, profile, videoId) {
+  const others = samples.filter(sample => sample.videoId !== videoId);
+  if (others.length < profile.minBaselineVideos) return null;
+
+  return {
+    videos: others.length,
+    engagementRate: median(others.map(sample => weightedEngagementRate(sample.engagementMetrics, profile.engagementWeights))),
+    viewsPerDay: median(others.map(sample => viewsPerDay(sample)).filter(value => value !== null))
+  };
+}
+
+/**
+ * Blend the channel and category baselines of a metric with the profile's baseline weights
+ * @param {Object} baselines - { channel, category } from computeBaseline (either may be null)
+ * @param {string} metric - 'engagementRate' or 'viewsPerDay'
+ * @param {Object} baselineWeights - { channel, category }
+ * @returns {number|null} Blended baseline, or null when neither is available
+ */
+function blendBaselines(baselines, metric, baselineWeights) {
+  let total = 0;
+  let weight = 0;
+
+  for (const source of ['channel', 'category']) {
+    const baseline = baselines[source];
+    if (baseline && baseline[metric] !== null && baselineWeights[source] > 0) {
+      total += baseline[metric] * baselineWeights[source];
+      weight += baselineWeights[source];
+    }
+  }
+
+  return weight > 0 ? total / weight : null;
+}
+
+/**
+ * Score a value against its baseline: matching the baseline scores 50, twice the baseline 100
+ * @param {number} value - Video's value
+ * @param {number} baseline - Baseline value
+ * @returns {number} Score 0-100
+ */
+function relativeScore(value, baseline) {
+  if (baseline <= 0) return value > 0 ? 100 : 50;
+  return clampScore((value / baseline) * 50);
+}
+
+/**
+ * Score each component from the video and its comment signals
+ * @param {Object} videoData - Video with engagementMetrics, viewCount and publishedAt
+ * @param {Object} signals - { sentiment, adAnnoyance } from comment analysis
+ * @param {Object} profile - Scoring profile
+ * @param {Object} baselines - { channel, category } from computeBaseline
+ * @returns {Object} Component results by name: { available, value, baseline, normalization, score }
+ */
+function scoreComponents(videoData, signals, profile, baselines) {
+  const sentiment = signals.sentiment || {};
+  const adAnnoyance = signals.adAnnoyance || null;
+
+  // Engagement falls back to the absolute scale (10% engagement scores 100) without a baseline
+  const engagementRate = weightedEngagementRate(videoData.engagementMetrics, profile.engagementWeights);
+  const engagementBaseline = blendBaselines(baselines, 'engagementRate', profile.baselineWeights);
+  const engagement = {
+    available: true,
+    value: engagementRate,
+    baseline: engagementBaseline,
+    normalization: engagementBaseline !== null ? 'baseline' : 'absolute',
+    score: engagementBaseline !== null ? relativeScore(engagementRate, engagementBaseline) : clampScore(engagementRate * 10)
+  };
+
+  // Reach has no absolute scale, so it needs a baseline
+  const reachValue = viewsPerDay(videoData);
+  const reachBaseline = blendBaselines(baselines, 'viewsPerDay', profile.baselineWeights);
+  const reach = {
+    available: reachValue !== null && reachBaseline !== null,
+    value: reachValue,
+    baseline: reachBaseline,
+    normalization: 'baseline',
+    score: reachValue !== null && reachBaseline !== null ? relativeScore(reachValue, reachBaseline) : null
+  };
+
+  const hasSentiment = (sentiment.analyzedComments || 0) > 0;
+  const sentimentComponent = {
+    available: hasSentiment,
+    value: hasSentiment ? sentiment.positivePercentage - sentiment.negativePercentage : null,
+    baseline: null,
+    normalization: 'absolute',
+    score: hasSentiment ? clampScore((sentiment.positivePercentage - sentiment.negativePercentage + 100) / 2) : null
+  };
+
+  // Sentiment of clauses about the sponsor and the ad read (-1 to 1 scaled to 0-100),
+  // less the share of comments annoyed by the ad
+  const aspects = Object.values(sentiment.aspectSentiment || {}).filter(aspect => aspect && aspect.count > 0);
+  const aspectCount = aspects.reduce((total, aspect) => total + aspect.count, 0);
+  const aspectSentiment = aspectCount > 0
+    ? aspects.reduce((total, aspect) => total + aspect.averageSentiment * aspect.count, 0) / aspectCount
+    : 0;
+  const annoyance = adAnnoyance ? adAnnoyance.percentage || 0 : 0;
+  const hasReception = aspectCount > 0 || annoyance > 0;
+  const adReception = {
+    available: hasReception,
+    value: hasReception ? { aspectSentiment, aspectComments: aspectCount, annoyancePercentage: annoyance } : null,
+    baseline: null,
+    normalization: 'absolute',
+    score: hasReception ? clampScore(50 + 50 * Math.max(-1, Math.min(1, aspectSentiment)) - annoyance) : null
+  };
+
+  return { engagement, reach, sentiment: sentimentComponent, adReception };
+}
+
+/**
+ * Seed the built-in scoring profile when no version of it exists
+ * @returns {Promise<boolean>} True if the profile was seeded
+ */
+async function seedScoringProfiles() {
+  const name = config.scoring.defaultProfile;
+  const existing = await ScoringProfile.exists({ name });
+  if (existing) return false;
+
+  await ScoringProfile.create({
+    name,
+    version: 1,
+    ...DEFAULT_PROFILE,
+    description: 'Built-in default',
+    isActive: true,
+    activatedAt: new Date()
+  });
+
+  console.log(`Seeded scoring profile ${name} (version 1)`);
+  return true;
+}
+
+/**
+ * Get the active version of a scoring profile
+ * Falls back to the built-in profile (version 0) for the default profile name
+ * @param {string} name - Profile name
+ * @returns {Promise<Object|null>} Profile or null for unknown names
+ */
+async function getActiveProfile(name = config.scoring.defaultProfile) {
+  try {
+    const profile = await ScoringProfile.findOne({ name, isActive: true }).sort({ activatedAt: -1 }).lean();
+    if (profile) return profile;
+  } catch (error) {
+    console.error(`Error loading scoring profile ${name}:`, error.message);
+  }
+
+  return name === config.scoring.defaultProfile
+    ? { name, version: 0, ...DEFAULT_PROFILE }
+    : null;
+}
+
+/**
+ * Score the ad effectiveness of a video with a scoring profile
+ * Engagement and reach are normalized against the channel's own recent videos and the
+ * category median; components without data are left out and the other weights rescaled
+ * @param {Object} videoData - Video with videoId, channelId, categoryId, viewCount,
+ *   publishedAt and engagementMetrics
+ * @param {Object} signals - { sentiment, adAnnoyance } from comment analysis
+ * @param {Object} options - { profile } name, default from config
+ * @returns {Promise<Object>} { score, profile: { name, version }, breakdown: { components, baselines } }
+ */
+async function scoreAdEffectiveness(videoData, signals, options = {}) {
+  const profileName = options.profile || config.scoring.defaultProfile;
+  const profile = await getActiveProfile(profileName);
+  if (!profile) {
+    throw new Error(`Unknown scoring profile: ${profileName}`);
+  }
+
+  const baselines = { channel: null, category: null };
+  try {
+    if (videoData.channelId) {
+      const samples = await loadBaselineSamples(`channel:${videoData.channelId}`, { channelId: videoData.channelId });
+      baselines.channel = computeBaseline(samples, profile, videoData.videoId);
+    }
+    if (videoData.categoryId) {
+      const samples = await loadBaselineSamples(`category:${videoData.categoryId}`, { categoryId: videoData.categoryId });
+      baselines.category = computeBaseline(samples, profile, videoData.videoId);
+    }
+  } catch (error) {
+    console.error('Error loading scoring baselines:', error.message);
+  }
+
+  const results = scoreComponents(videoData, signals, profile, baselines);
+  const availableWeight = SCORE_COMPONENTS
+    .filter(component => results[component].available)
+    .reduce((total, component) => total + (profile.weights[component] || 0), 0);
+
+  // Each contribution is the component's score times its share of the available weight,
+  // so the contributions add up to the total score
+  const components = SCORE_COMPONENTS.map(component => {
+    const result = results[component];
+    const weight = profile.weights[component] || 0;
+    const effectiveWeight = result.available && availableWeight > 0 ? weight / availableWeight : 0;
+
+    return {
+      component,
+      ...result,
+      weight,
+      effectiveWeight,
+      contribution: result.available ? result.score * effectiveWeight : 0
+    };
+  });
+
+  return {
+    score: clampScore(components.reduce((total, component) => total + component.contribution, 0)),
+    profile: { name: profile.name, version: profile.version },
+    breakdown: {
+      components,
+      baselines: {
+        channel: baselines.channel,
+        category: baselines.category && { categoryId: videoData.categoryId, ...baselines.category }
+      }
+    }
+  };
+}
+
+/**
+ * Check the fields of a new scoring profile version
+ * The positive-weight check runs on the given weights merged over the base version's, so a
+ * partial update may set some weights to 0
+ * @param {Object} fields - { weights, engagementWeights, baselineWeights, minBaselineVideos }
+ * @param {Object} base - Version the fields are applied to (default: the built-in profile)
+ * @returns {Array} Error messages, empty when valid
+ */
+function validateProfileFields(fields, base = DEFAULT_PROFILE) {
+  const errors = [];
+  const isWeight = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  const checkWeights = (field, keys) => {
+    const value = fields[field];
+    if (value === undefined) return;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${field} must be an object`);
+      return;
+    }
+    for (const key of Object.keys(value)) {
+      if (!keys.includes(key)) {
+        errors.push(`Unknown ${field} key: ${key}. Use: ${keys.join(', ')}`);
+      } else if (!isWeight(value[key])) {
+        errors.push(`${field}.${key} must be a non-negative number`);
+      }
+    }
+  };
+
+  checkWeights('weights', SCORE_COMPONENTS);
+  checkWeights('engagementWeights', ['likes', 'comments']);
+  checkWeights('baselineWeights', ['channel', 'category']);
+
+  if (fields.weights && typeof fields.weights === 'object' && !Array.isArray(fields.weights)) {
+    const weights = { ...base.weights, ...fields.weights };
+    if (!SCORE_COMPONENTS.some(key => isWeight(weights[key]) && weights[key] > 0)) {
+      errors.push('weights must include at least one positive weight');
+    }
+  }
+
+  if (fields.minBaselineVideos !== undefined &&
+    !(Number.isInteger(fields.minBaselineVideos) && fields.minBaselineVideos >= 1)) {
+    errors.push('minBaselineVideos must be a positive integer');
+  }
+
+  return errors;
+}
+
+/**
+ * Store a new version of a scoring profile
+ * Fields that are not given are copied from the latest version (or the built-in profile)
+ * @param {string} name - Profile name
+ * @param {Object} fields - { weights, engagementWeights, baselineWeights, minBaselineVideos, description, activate }
+ * @returns {Promise<Object>} { profile } with the created version, or { errors } when the fields are invalid
+ */
+async function createProfileVersion(name, fields) {
+  const previous = await ScoringProfile.findOne({ name }).sort({ version: -1 }).lean();
+  const base = previous || DEFAULT_PROFILE;
+  const version = previous ? previous.version + 1 : 1;
+
+  const errors = validateProfileFields(fields, base);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const profile = await ScoringProfile.create({
+    name,
+    version,
+    weights: { ...base.weights, ...fields.weights },
+    engagementWeights: { ...base.engagementWeights, ...fields.engagementWeights },
+    baselineWeights: { ...base.baselineWeights, ...fields.baselineWeights },
+    minBaselineVideos: fields.minBaselineVideos || base.minBaselineVideos,
+    description: fields.description
+  });
+
+  if (fields.activate) {
+    return { profile: await activateProfileVersion(name, version) };
+  }
+
+  return { profile };
+}
+
+/**
+ * Make a scoring profile version the active one for its name
+ * @param {string} name - Profile name
+ * @param {number} version - Version to activate
+ * @returns {Promise<Object|null>} Activated profile or null if the version does not exist
+ */
+async function activateProfileVersion(name, version) {
+  const profile = await ScoringProfile.findOne({ name, version });
+  if (!profile) return null;
+
+  // Activate before deactivating the others so a failure in between never leaves no active version
+  profile.isActive = true;
+  profile.activatedAt = new Date();
+  await profile.save();
+
+  await ScoringProfile.updateMany(
+    { name, _id: { $ne: profile._id }, isActive: true },
+    { $set: { isActive: false } }
+  );
+
+  console.log(`Activated scoring profile ${name} version ${version}`);
+  return profile;
+}
+
+module.exports = {
+  SCORE_COMPONENTS,
+  DEFAULT_PROFILE,
+  median,
+  weightedEngagementRate,
+  seedScoringProfiles,
+  getActiveProfile,
+  scoreAdEffectiveness,
+  validateProfileFields,
+  createProfileVersion,
+  activateProfileVersion
+};
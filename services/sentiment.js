@@ -0,0 +1,239 @@
+const natural = require('natural');
+const { Language, SentimentAnalyzer } = require('node-nlp');
+const config = require('../config/config');
+
+// Languages scored with natural's AFINN analyzers (English keeps the original analyzer)
+const naturalAnalyzers = {
+  en: {
+    tokenizer: new natural.WordTokenizer(),
+    analyzer: new natural.SentimentAnalyzer('English', natural.PorterStemmer, 'afinn')
+  },
+  es: {
+    tokenizer: new natural.AggressiveTokenizerEs(),
+    analyzer: new natural.SentimentAnalyzer('Spanish', natural.PorterStemmerEs, 'afinn')
+  },
+  pt: {
+    tokenizer: new natural.AggressiveTokenizerPt(),
+    analyzer: new natural.SentimentAnalyzer('Portuguese', natural.PorterStemmerPt, 'afinn')
+  }
+};
+
+const languageGuesser = new Language();
+
+// Common words found in only one of the languages that trigram guesses confuse on short comments
+const MARKER_WORDS = {
+  en: ['the', 'and', 'is', 'this', 'that', 'with', 'was', 'you', 'it', 'of'],
+  pt: ['não', 'muito', 'muita', 'foi', 'esse', 'essa', 'isso', 'você', 'pelo', 'pela', 'com', 'uma', 'também', 'ficou', 'obrigado', 'obrigada'],
+  es: ['muy', 'pero', 'el', 'también', 'gracias', 'esto', 'eso', 'mucho', 'hoy', 'siempre', 'los', 'las'],
+  fr: ['le', 'les', 'est', 'et', 'avec', 'cette', 'ce', 'pas', 'je', 'vous', 'merci', 'très', 'pour', 'du', 'des', 'une', 'dans', 'qui'],
+  it: ['il', 'è', 'questo', 'questa', 'per', 'che', 'molto', 'grazie', 'sono', 'della', 'gli', 'niente']
+};
+
+// node-nlp analyzer for the other supported languages, created on first use
+let nlpAnalyzer = null;
+
+// Scores above/below these thresholds count as positive/negative
+const POSITIVE_THRESHOLD = 0.05;
+const NEGATIVE_THRESHOLD = -0.05;
+
+/**
+ * Reduce a locale such as 'en-US' to its language code
+ * @param {string} locale - Locale or language code
+ * @returns {string|null} Two-letter language code
+ */
+function toLanguageCode(locale) {
+  return locale ? locale.toLowerCase().split(/[-_]/)[0] : null;
+}
+
+/**
+ * Detect the language of a comment
+ * Short Latin-script comments ("nice", "first!") cannot be detected reliably,
+ * so they get the video's language (or English). Longer comments also get the video's
+ * language when the guess is uncertain (several languages score close to the top guess),
+ * since trigram guesses on a sentence often confuse related languages (pt/it, fr/es).
+ * Without that, close supported languages are told apart by their marker words, and a
+ * comment that still cannot be placed is 'und' rather than a confident wrong language
+ * @param {string} text - Comment text
+ * @param {string} fallbackLanguage - Language to assume for short comments, e.g. the video's language
+ * @returns {string} Two-letter language code, or 'und' when the text has no letters or is ambiguous
+ */
+function detectLanguage(text, fallbackLanguage = null) {
+  const letters = (text || '').replace(/[^\p{L}\s]/gu, ' ').trim();
+  if (!letters) return 'und';
+
+  const wordCount = letters.split(/\s+/).length;
+  if (wordCount < config.sentiment.minDetectionWords && /^[A-Za-z\s]+$/.test(letters)) {
+    return toLanguageCode(fallbackLanguage) || 'en';
+  }
+
+  const guesses = languageGuesser.guess(letters);
+  if (guesses.length === 0) return 'und';
+
+  const { detectionMargin, fallbackMargin } = config.sentiment;
+  const [best] = guesses;
+  const close = guesses.filter(guess => guess.score >= best.score * detectionMargin);
+
+  const fallback = toLanguageCode(fallbackLanguage);
+  if (fallback && close.length > 1 && guesses.some(guess =>
+    guess.alpha2 === fallback && guess.score >= best.score * fallbackMargin)) {
+    return fallback;
+  }
+
+  // An unsupported language clearly ahead of every supported one is kept as it is
+  const supported = guesses.filter(guess => config.sentiment.languages.includes(guess.alpha2));
+  if (supported.length === 0 || supported[0].score < best.score * detectionMargin) {
+    return best.alpha2;
+  }
+
+  // Trigram scores of related languages overlap, so plausible supported guesses are told apart
+  // by their marker words; without any, a top guess that is too close to call is 'und'
+  const candidates = supported.filter(guess => guess.score >= supported[0].score * fallbackMargin);
+  if (candidates.length === 1) return candidates[0].alpha2;
+
+  const words = letters.toLowerCase().split(/\s+/);
+  const counts = candidates.map(guess => ({
+    language: guess.alpha2,
+    count: words.filter(word => (MARKER_WORDS[guess.alpha2] || []).includes(word)).length
+  })).sort((a, b) => b.count - a.count);
+  if (counts[0].count > counts[1].count) return counts[0].language;
+
+  return candidates[1].score >= candidates[0].score * detectionMargin ? 'und' : candidates[0].alpha2;
+}
+
+/**
+ * Classify a sentiment score
+ * @param {number} score - Normalized sentiment score
+ * @returns {string} 'positive', 'negative' or 'neutral'
+ */
+function classifyScore(score) {
+  if (score > POSITIVE_THRESHOLD) return 'positive';
+  if (score < NEGATIVE_THRESHOLD) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * Score the sentiment of a comment in its own language
+ * Comments in languages without a sentiment model are marked 'unsupported' instead of neutral
+ * @param {string} text - Comment text
+ * @param {Object} options - { language } when already known (e.g. for a clause of a comment),
+ *   otherwise { fallbackLanguage } used for comments too short to detect
+ * @returns {Promise<Object>} { language, supported, score, classification, tokens }
+ */
+async function scoreText(text, options = {}) {
+  const language = options.language || detectLanguage(text, options.fallbackLanguage);
+
+  if (!config.sentiment.languages.includes(language)) {
+    return { language, supported: false, score: null, classification: 'unsupported', tokens: [] };
+  }
+
+  let score;
+  let tokens;
+
+  if (naturalAnalyzers[language]) {
+    const { tokenizer, analyzer } = naturalAnalyzers[language];
+    tokens = tokenizer.tokenize(text);
+    score = tokens.length > 0 ? analyzer.getSentiment(tokens) || 0 : 0;
+  } else {
+    if (!nlpAnalyzer) {
+      nlpAnalyzer = new SentimentAnalyzer();
+    }
+    const result = await nlpAnalyzer.getSentiment(text, language);
+    tokens = text.split(/\s+/).filter(Boolean);
+    score = result.average || 0;
+  }
+
+  return { language, supported: true, score, classification: classifyScore(score), tokens };
+}
+
+/**
+ * Create an empty sentiment tally
+ * @returns {Object} Tally
+ */
+function createTally() {
+  return { count: 0, totalSentiment: 0, positive: 0, negative: 0, neutral: 0 };
+}
+
+/**
+ * Add a supported score to a tally
+ * @param {Object} tally - Tally from createTally
+ * @param {Object} result - Result of scoreText
+ */
+function addToTally(tally, result) {
+  tally.count++;
+  tally.totalSentiment += result.score;
+  tally[result.classification]++;
+}
+
+/**
+ * Convert a tally to averages and percentages
+ * @param {Object} tally - Tally from createTally
+ * @returns {Object} { count, averageSentiment, positivePercentage, negativePercentage, neutralPercentage }
+ */
+function summarizeTally(tally) {
+  const percentage = value => (tally.count > 0 ? (value / tally.count) * 100 : 0);
+
+  return {
+    count: tally.count,
+    averageSentiment: tally.count > 0 ? tally.totalSentiment / tally.count : 0,
+    positivePercentage: percentage(tally.positive),
+    negativePercentage: percentage(tally.negative),
+    neutralPercentage: percentage(tally.neutral)
+  };
+}
+
+/**
+ * Aggregate scored comments into overall and per-language sentiment
+ * Percentages and averages only include comments in supported languages
+ * @param {Array} scores - Results of scoreText
+ * @returns {Object} Sentiment summary with a languageBreakdown by language code
+ */
+function summarizeScores(scores) {
+  const overall = createTally();
+  const byLanguage = {};
+  let unsupportedComments = 0;
+
+  for (const result of scores) {
+    if (!byLanguage[result.language]) {
+      byLanguage[result.language] = { ...createTally(), supported: result.supported };
+    }
+    const languageTally = byLanguage[result.language];
+
+    if (!result.supported) {
+      unsupportedComments++;
+      languageTally.count++;
+      continue;
+    }
+
+    addToTally(overall, result);
+    addToTally(languageTally, result);
+  }
+
+  const languageBreakdown = {};
+  for (const [language, tally] of Object.entries(byLanguage)) {
+    languageBreakdown[language] = tally.supported
+      ? { supported: true, ...summarizeTally(tally) }
+      : { supported: false, count: tally.count };
+  }
+
+  const summary = summarizeTally(overall);
+
+  return {
+    averageSentiment: summary.averageSentiment,
+    positivePercentage: summary.positivePercentage,
+    negativePercentage: summary.negativePercentage,
+    neutralPercentage: summary.neutralPercentage,
+    totalComments: scores.length,
+    analyzedComments: overall.count,
+    unsupportedComments,
+    languageBreakdown
+  };
+}
+
+module.exports = {
+  detectLanguage,
+  scoreText,
+  createTally,
+  addToTally,
+  summarizeTally,
+  summarizeScores
+};
@@ -0,0 +1,235 @@
+const config = require('../config/config');
+const Video = require('../models/video');
+const { periodOf } = require('./brandAnalytics');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Columns of the CSV export, one row per brand per week
+const CSV_COLUMNS = [
+  'week', 'brand', 'sponsoredVideos', 'videoShare', 'videoShareChange',
+  'sponsoredViews', 'viewShare', 'viewShareChange'
+];
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * List the weeks (labelled by their Monday) from one date to another
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Array<string>} Week labels in order, e.g. ['2025-03-03', '2025-03-10'] (empty if
+ *   from is after to)
+ */
+function listWeeks(from, to) {
+  const weeks = [];
+  let day = new Date(`${periodOf(from, 'week')}T00:00:00Z`);
+
+  while (day <= to) {
+    weeks.push(periodOf(day, 'week'));
+    day = new Date(day.getTime() + 7 * MS_PER_DAY);
+  }
+
+  return weeks;
+}
+
+/**
+ * Percentage of a part in a total
+ * @param {number} part - Part
+ * @param {number} total - Total
+ * @returns {number|null} Percentage, or null if the total is 0
+ */
+function share(part, total) {
+  return total > 0 ? (part / total) * 100 : null;
+}
+
+/**
+ * Tally sponsored videos and views per brand
+ * @param {Array} videos - Video documents
+ * @returns {Object} { videos, sponsoredVideos, sponsoredViews, unattributedVideos, brands }
+ *   where brands maps each brand to { sponsoredVideos, sponsoredViews, creators }
+ */
+function tallyBrands(videos) {
+  const tally = { videos: videos.length, sponsoredVideos: 0, sponsoredViews: 0, unattributedVideos: 0, brands: new Map() };
+
+  for (const video of videos) {
+    const sponsorship = video.sponsorshipInfo || {};
+    if (!sponsorship.hasSponsorship) continue;
+
+    const views = video.viewCount || 0;
+    tally.sponsoredVideos++;
+    tally.sponsoredViews += views;
+
+    const brands = [...new Set(sponsorship.detectedBrands || [])];
+    if (brands.length === 0) tally.unattributedVideos++;
+
+    for (const brand of brands) {
+      if (!tally.brands.has(brand)) {
+        tally.brands.set(brand, { sponsoredVideos: 0, sponsoredViews: 0, creators: new Set() });
+      }
+      const brandTally = tally.brands.get(brand);
+      brandTally.sponsoredVideos++;
+      brandTally.sponsoredViews += views;
+      brandTally.creators.add(video.channelId);
+    }
+  }
+
+  return tally;
+}
+
+/**
+ * Each brand's share of a tally's sponsored videos and views
+ * @param {Object} tally - Result of tallyBrands
+ * @param {Array<string>} brands - Brands to report (brands missing from the tally get 0)
+ * @returns {Array} { brand, sponsoredVideos, sponsoredViews, creators, videoShare, viewShare }
+ */
+function brandShares(tally, brands) {
+  return brands.map(brand => {
+    const brandTally = tally.brands.get(brand) || { sponsoredVideos: 0, sponsoredViews: 0, creators: new Set() };
+    return {
+      brand,
+      sponsoredVideos: brandTally.sponsoredVideos,
+      sponsoredViews: brandTally.sponsoredViews,
+      creators: brandTally.creators.size,
+      videoShare: share(brandTally.sponsoredVideos, tally.sponsoredVideos),
+      viewShare: share(brandTally.sponsoredViews, tally.sponsoredViews)
+    };
+  });
+}
+
+/**
+ * Build the competitor share-of-voice report of a keyword space or video category
+ * A brand's share is its part of the space's sponsored videos (and of their views); a video
+ * sponsored by several brands counts for each of them, so shares can add up to more than 100.
+ * Views are the videos' current view counts. Weekly shares are compared with the previous
+ * week in percentage points
+ * @param {Object} options - { keyword } search keyword and/or { categoryId } YouTube video
+ *   category, { from, to } publication dates (default: the last config.shareOfVoice.defaultWeeks weeks)
+ * @returns {Promise<Object>} Report with totals, brand shares over the whole range and per week
+ */
+async function getShareOfVoiceReport(options = {}) {
+  const to = options.to || new Date();
+  const from = options.from || new Date(to.getTime() - config.shareOfVoice.defaultWeeks * 7 * MS_PER_DAY);
+
+  const filter = { publishedAt: { $gte: from, $lte: to } };
+  if (options.keyword) {
+    const keyword = options.keyword.trim().toLowerCase();
+    // Videos stored before searchKeywords was tracked only have their last search keyword
+    filter.$or = [
+      { searchKeywords: keyword },
+      { keyword: new RegExp(`^${escapeRegex(keyword)}$`, 'i') }
+    ];
+  }
+  if (options.categoryId) filter.categoryId = options.categoryId;
+
+  const videos = await Video.find(filter)
+    .select('videoId channelId publishedAt viewCount sponsorshipInfo.hasSponsorship sponsorshipInfo.detectedBrands')
+    .lean();
+
+  const overall = tallyBrands(videos);
+  const brands = [...overall.brands.keys()]
+    .sort((a, b) => overall.brands.get(b).sponsoredVideos - overall.brands.get(a).sponsoredVideos || a.localeCompare(b));
+
+  const videosByWeek = new Map();
+  for (const video of videos) {
+    const week = periodOf(video.publishedAt, 'week');
+    if (!videosByWeek.has(week)) videosByWeek.set(week, []);
+    videosByWeek.get(week).push(video);
+  }
+
+  let previous = null;
+  const weeks = listWeeks(from, to).map(week => {
+    const tally = tallyBrands(videosByWeek.get(week) || []);
+    const previousShares = new Map(previous ? previous.brands.map(item => [item.brand, item]) : []);
+
+    // Brands sponsoring this week or the week before, so drops to zero are reported;
+    // shares are undefined in weeks without sponsored videos
+    const weekBrands = tally.sponsoredVideos === 0 ? [] : brands.filter(brand =>
+      tally.brands.has(brand) || (previousShares.has(brand) && previousShares.get(brand).sponsoredVideos > 0));
+
+    // Change in percentage points; brands missing from the previous week had a share of 0
+    const change = (item, field, totalField) => {
+      if (!previous || item[field] === null) return null;
+      const before = previousShares.has(item.brand)
+        ? previousShares.get(item.brand)[field]
+        : (previous[totalField] > 0 ? 0 : null);
+      return before === null ? null : item[field] - before;
+    };
+
+    const result = {
+      week,
+      videos: tally.videos,
+      sponsoredVideos: tally.sponsoredVideos,
+      sponsoredViews: tally.sponsoredViews,
+      brands: brandShares(tally, weekBrands).map(item => ({
+        ...item,
+        videoShareChange: change(item, 'videoShare', 'sponsoredVideos'),
+        viewShareChange: change(item, 'viewShare', 'sponsoredViews')
+      }))
+    };
+
+    previous = result;
+    return result;
+  });
+
+  return {
+    keyword: options.keyword || null,
+    categoryId: options.categoryId || null,
+    from,
+    to,
+    totals: {
+      videos: overall.videos,
+      sponsoredVideos: overall.sponsoredVideos,
+      sponsorshipRate: share(overall.sponsoredVideos, overall.videos),
+      sponsoredViews: overall.sponsoredViews,
+      unattributedVideos: overall.unattributedVideos
+    },
+    brands: brandShares(overall, brands),
+    weeks
+  };
+}
+
+/**
+ * Format a CSV field, quoting it when needed
+ * @param {*} value - Field value (null and undefined become empty fields)
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export a share-of-voice report as CSV
+ * The whole range comes first with week 'all', followed by one row per brand per week
+ * @param {Object} report - Result of getShareOfVoiceReport
+ * @returns {string} CSV text with a header row
+ */
+function reportToCsv(report) {
+  const rows = [CSV_COLUMNS];
+
+  for (const item of report.brands) {
+    rows.push(CSV_COLUMNS.map(column => (column === 'week' ? 'all' : item[column])));
+  }
+  for (const week of report.weeks) {
+    for (const item of week.brands) {
+      rows.push(CSV_COLUMNS.map(column => (column === 'week' ? week.week : item[column])));
+    }
+  }
+
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  listWeeks,
+  getShareOfVoiceReport,
+  reportToCsv
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const Comment = require('../models/comment');
+
+// Phrases typical of giveaway scams and bot comments
+const SCAM_PATTERNS = [
+  /\b(whats ?app|telegram|signal)\b.*[+\d]/i,
+  /\b(text|message|contact|dm|inbox) me\b/i,
+  /\byou('ve| have)? (been selected|won)\b/i,
+  /\b(claim|collect) your (prize|reward|gift)\b/i,
+  /\bcongratulations?\b.*\b(winner|won|selected|prize)\b/i,
+  /\b(giveaway|free iphone|free robux|free v-?bucks)\b/i,
+  /\b(crypto|bitcoin|btc|forex|binary options?)\b.*\b(invest\w*|profits?|trading|earn\w*)\b/i,
+  /\b(invest\w*|profits?|trading|earn\w*)\b.*\b(crypto|bitcoin|btc|forex|binary options?)\b/i,
+  /\b(check|visit|watch) (out )?my (channel|profile|videos?)\b/i,
+  /\bsub ?(4|for) ?sub\b/i,
+  /\+\d[\d\s-]{8,}\d/
+];
+
+const URL_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+
+// Points each signal adds to the spam score (capped at 1)
+const SIGNAL_WEIGHTS = {
+  duplicate: 0.4,
+  links: 0.3,
+  scamPhrase: 0.5,
+  authorRepetition: 0.25,
+  emojiFlood: 0.2
+};
+
+/**
+ * Normalize comment text for duplicate detection
+ * @param {string} text - Comment text
+ * @returns {string} Lowercased text with only letters, digits and single spaces
+ */
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Hash normalized comment text so copies posted on different videos can be found
+ * @param {string} text - Comment text
+ * @returns {string|null} SHA-1 hex digest, or null for text too short to be a meaningful duplicate
+ */
+function hashText(text) {
+  const normalized = normalizeText(text);
+  if (normalized.length < config.spam.minDuplicateLength) return null;
+
+  return crypto.createHash('sha1').update(normalized).digest('hex');
+}
+
+/**
+ * Score one comment from its text and the duplicate/author context of its video
+ * @param {Object} comment - Comment with text and authorName
+ * @param {Object} context - { duplicateCount, authorCommentCount }
+ * @returns {Object} { score, isSpam, reasons }
+ */
+function scoreComment(comment, context = {}) {
+  const text = comment.text || '';
+  const reasons = [];
+
+  // Same text from other authors or on other videos
+  if ((context.duplicateCount || 0) > 0) {
+    reasons.push('duplicate');
+  }
+
+  // Links make up a large share of the comment
+  const links = text.match(URL_PATTERN) || [];
+  const wordCount = text.replace(URL_PATTERN, ' ').split(/\s+/).filter(Boolean).length;
+  if (links.length >= 2 || (links.length === 1 && wordCount < config.spam.minWordsPerLink)) {
+    reasons.push('links');
+  }
+
+  if (SCAM_PATTERNS.some(pattern => pattern.test(text))) {
+    reasons.push('scamPhrase');
+  }
+
+  if ((context.authorCommentCount || 0) >= config.spam.authorRepeatThreshold) {
+    reasons.push('authorRepetition');
+  }
+
+  // Mostly emoji, or a long run of them
+  const emojiCount = (text.match(EMOJI_PATTERN) || []).length;
+  const letterCount = (text.match(/\p{L}/gu) || []).length;
+  if (emojiCount >= config.spam.emojiFloodCount && emojiCount >= letterCount) {
+    reasons.push('emojiFlood');
+  }
+
+  const score = Math.min(1, reasons.reduce((total, reason) => total + SIGNAL_WEIGHTS[reason], 0));
+
+  return { score, isSpam: score >= config.spam.threshold, reasons };
+}
+
+/**
+ * Count, for each text hash, the stored comments with the same text on other videos
+ * @param {Array} hashes - Text hashes
+ * @param {string} videoId - Video the comments belong to
+ * @returns {Promise<Map>} Count by text hash
+ */
+async function countStoredDuplicates(hashes, videoId) {
+  const counts = new Map();
+  if (hashes.length === 0) return counts;
+
+  try {
+    const duplicates = await Comment.aggregate([
+      { $match: { textHash: { $in: hashes }, videoId: { $ne: videoId } } },
+      { $group: { _id: '$textHash', count: { $sum: 1 } } }
+    ]);
+    for (const duplicate of duplicates) {
+      counts.set(duplicate._id, duplicate.count);
+    }
+  } catch (error) {
+    console.error('Error looking up duplicate comments:', error.message);
+  }
+
+  return counts;
+}
+
+/**
+ * Classify the comments of a video as spam or not
+ * Duplicate text counts when it is posted by another author on the same video or appears
+ * on other stored videos; author repetition counts the author's comments on this video
+ * @param {Array} comments - Comments with text and authorName
+ * @param {Object} options - { videoId } of the video the comments belong to
+ * @returns {Promise<Array>} { score, isSpam, reasons, textHash } for each comment, in order
+ */
+async function classifyComments(comments, options = {}) {
+  const hashes = comments.map(comment => hashText(comment.text));
+  const storedDuplicates = await countStoredDuplicates([...new Set(hashes.filter(Boolean))], options.videoId);
+
+  const authorsByHash = new Map();
+  const commentsByAuthor = new Map();
+  comments.forEach((comment, index) => {
+    if (hashes[index]) {
+      if (!authorsByHash.has(hashes[index])) authorsByHash.set(hashes[index], new Set());
+      authorsByHash.get(hashes[index]).add(comment.authorName);
+    }
+    if (comment.authorName) {
+      commentsByAuthor.set(comment.authorName, (commentsByAuthor.get(comment.authorName) || 0) + 1);
+    }
+  });
+
+  return comments.map((comment, index) => {
+    const textHash = hashes[index];
+    const duplicateCount = textHash
+      ? (storedDuplicates.get(textHash) || 0) + authorsByHash.get(textHash).size - 1
+      : 0;
+
+    return {
+      ...scoreComment(comment, {
+        duplicateCount,
+        authorCommentCount: commentsByAuthor.get(comment.authorName) || 0
+      }),
+      textHash
+    };
+  });
+}
+
+module.exports = {
+  hashText,
+  scoreComment,
+  classifyComments
+};
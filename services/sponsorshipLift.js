@@ -0,0 +1,184 @@
+const config = require('../config/config');
+const Video = require('../models/video');
+const { median } = require('./scoring');
+
+// Two-sided 95% critical values of Student's t distribution by degrees of freedom (1-30)
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+const LIFT_METRICS = ['views', 'likeRate', 'commentRate'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Mean of a sample with its 95% confidence interval (Student's t)
+ * @param {Array<number>} values - Sample
+ * @returns {Object} { n, mean, lower, upper }; the interval is null with fewer than 2 values
+ */
+function meanWithInterval(values) {
+  const n = values.length;
+  if (n === 0) return { n, mean: null, lower: null, upper: null };
+
+  const mean = values.reduce((total, value) => total + value, 0) / n;
+  if (n < 2) return { n, mean, lower: null, upper: null };
+
+  const variance = values.reduce((total, value) => total + (value - mean) ** 2, 0) / (n - 1);
+  const margin = (T_CRITICAL_95[n - 2] || 1.96) * Math.sqrt(variance / n);
+
+  return { n, mean, lower: mean - margin, upper: mean + margin };
+}
+
+/**
+ * Summarize per-video lifts of each metric
+ * View lifts are averaged on the log scale, since view counts are heavily skewed, and
+ * converted back to a percentage; rate lifts are averaged as percentages
+ * @param {Array} comparisons - Per-video comparisons with their logViewRatio
+ * @returns {Object} { views, likeRate, commentRate } each { n, mean, lower, upper } in percent
+ */
+function summarizeLift(comparisons) {
+  const toPercent = value => (value === null ? null : (Math.exp(value) - 1) * 100);
+  const views = meanWithInterval(comparisons.map(c => c.logViewRatio).filter(value => value !== null));
+
+  const summary = {
+    views: { n: views.n, mean: toPercent(views.mean), lower: toPercent(views.lower), upper: toPercent(views.upper) }
+  };
+
+  for (const metric of ['likeRate', 'commentRate']) {
+    summary[metric] = meanWithInterval(comparisons.map(c => c.lift[metric]).filter(value => value !== null));
+  }
+
+  return summary;
+}
+
+/**
+ * Extract the compared metrics of a video
+ * @param {Object} video - Video document
+ * @returns {Object} { views, likeRate, commentRate } with rates in percent of views
+ */
+function videoMetrics(video) {
+  const engagement = video.engagementMetrics || {};
+  return {
+    views: video.viewCount || 0,
+    likeRate: engagement.likeToViewRatio || 0,
+    commentRate: engagement.commentToViewRatio || 0
+  };
+}
+
+/**
+ * Median metrics of a set of organic videos
+ * @param {Array} videos - Organic video documents
+ * @returns {Object} { videos, views, likeRate, commentRate }
+ */
+function computeOrganicBaseline(videos) {
+  const metrics = videos.map(videoMetrics);
+  const baseline = { videos: videos.length };
+  for (const metric of LIFT_METRICS) {
+    baseline[metric] = median(metrics.map(m => m[metric]));
+  }
+  return baseline;
+}
+
+/**
+ * Group comparisons and summarize the lift of each group
+ * @param {Array} comparisons - Per-video comparisons
+ * @param {Function} keysOf - Returns the group keys of a comparison
+ * @returns {Array} { key, videos, lift } sorted by number of videos
+ */
+function groupLift(comparisons, keysOf) {
+  const groups = new Map();
+  for (const comparison of comparisons) {
+    for (const key of keysOf(comparison)) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(comparison);
+    }
+  }
+
+  return [...groups.entries()]
+    .map(([key, group]) => ({ key, videos: group.length, lift: summarizeLift(group) }))
+    .sort((a, b) => b.videos - a.videos);
+}
+
+/**
+ * Compare a channel's sponsored videos with its organic uploads
+ * Each sponsored video is compared with the median of the organic videos published just
+ * before it (a rolling baseline), so channel growth over time does not skew the result.
+ * Videos younger than config.lift.minVideoAgeDays are left out because their views are
+ * still accumulating
+ * @param {string} channelId - YouTube channel ID
+ * @param {Object} options - { baselineVideos } organic uploads in each rolling baseline
+ * @returns {Promise<Object|null>} Lift summary with per-video comparisons and breakdowns by
+ *   brand and ad style, or null if the channel has no stored videos
+ */
+async function analyzeSponsorshipLift(channelId, options = {}) {
+  const baselineVideos = options.baselineVideos || config.lift.baselineVideos;
+  const cutoff = new Date(Date.now() - config.lift.minVideoAgeDays * MS_PER_DAY);
+
+  const videos = await Video.find({ channelId, publishedAt: { $lte: cutoff } })
+    .sort({ publishedAt: 1 })
+    .select('videoId title publishedAt viewCount engagementMetrics sponsorshipInfo.hasSponsorship sponsorshipInfo.detectedBrands adInsights.adStyle')
+    .lean();
+
+  if (videos.length === 0) {
+    const anyVideo = await Video.exists({ channelId });
+    if (!anyVideo) return null;
+  }
+
+  const organic = [];
+  const comparisons = [];
+  let withoutBaseline = 0;
+
+  for (const video of videos) {
+    const sponsorship = video.sponsorshipInfo || {};
+    if (!sponsorship.hasSponsorship) {
+      organic.push(video);
+      continue;
+    }
+
+    const window = organic.slice(-baselineVideos);
+    if (window.length < config.lift.minBaselineVideos) {
+      withoutBaseline++;
+      continue;
+    }
+
+    const baseline = computeOrganicBaseline(window);
+    const metrics = videoMetrics(video);
+    const relative = metric => (baseline[metric] > 0 ? (metrics[metric] / baseline[metric] - 1) * 100 : null);
+
+    comparisons.push({
+      videoId: video.videoId,
+      title: video.title,
+      publishedAt: video.publishedAt,
+      brands: sponsorship.detectedBrands || [],
+      adStyle: (video.adInsights && video.adInsights.adStyle) || 'Unknown',
+      metrics,
+      baseline,
+      lift: {
+        views: relative('views'),
+        likeRate: relative('likeRate'),
+        commentRate: relative('commentRate')
+      },
+      logViewRatio: baseline.views > 0 && metrics.views > 0 ? Math.log(metrics.views / baseline.views) : null
+    });
+  }
+
+  return {
+    sponsoredVideos: comparisons.length + withoutBaseline,
+    organicVideos: organic.length,
+    comparedVideos: comparisons.length,
+    withoutBaseline,
+    currentOrganicBaseline: organic.length > 0 ? computeOrganicBaseline(organic.slice(-baselineVideos)) : null,
+    lift: summarizeLift(comparisons),
+    byBrand: groupLift(comparisons, c => (c.brands.length > 0 ? c.brands : ['Unknown']))
+      .map(({ key, ...group }) => ({ brand: key, ...group })),
+    byAdStyle: groupLift(comparisons, c => [c.adStyle])
+      .map(({ key, ...group }) => ({ adStyle: key, ...group })),
+    videos: comparisons.map(({ logViewRatio, ...comparison }) => comparison)
+  };
+}
+
+module.exports = {
+  analyzeSponsorshipLift
+};
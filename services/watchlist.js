@@ -0,0 +1,93 @@
+const cron = require('node-cron');
+const config = require('../config/config');
+const WatchTarget = require('../models/watchTarget');
+const youtubeService = require('./youtube');
+const quota = require('./quota');
+
+// Cron tasks for targets with their own schedule, by target ID
+const scheduledTasks = new Map();
+
+/**
+ * Seed the watchlist from the config arrays when the collection is empty
+ * @returns {Promise<number>} Number of seeded targets
+ */
+async function seedWatchTargets() {
+  const existing = await WatchTarget.estimatedDocumentCount();
+  if (existing > 0) return 0;
+
+  const targets = [
+    ...config.youtubeChannels.map(channelId => ({ type: 'channel', value: channelId, source: 'config' })),
+    ...config.searchKeywords.map(keyword => ({ type: 'keyword', value: keyword, source: 'config' }))
+  ];
+
+  if (targets.length > 0) {
+    await WatchTarget.insertMany(targets, { ordered: false });
+    console.log(`Seeded watchlist with ${targets.length} target(s) from config`);
+  }
+
+  return targets.length;
+}
+
+/**
+ * Stop the cron task of a target, if it has one
+ * @param {string} targetId - WatchTarget ID
+ */
+function unscheduleTarget(targetId) {
+  const task = scheduledTasks.get(String(targetId));
+  if (task) {
+    task.stop();
+    scheduledTasks.delete(String(targetId));
+  }
+}
+
+/**
+ * (Re)create the cron task of a target with its own schedule
+ * Disabled targets and targets on the default schedule have no task
+ * @param {Object} target - WatchTarget document
+ */
+function scheduleTarget(target) {
+  unscheduleTarget(target._id);
+
+  if (!target.enabled || !target.schedule) return;
+
+  const targetId = String(target._id);
+  const task = cron.schedule(target.schedule, async () => {
+    try {
+      // Reload so the run sees the latest options
+      const current = await WatchTarget.findById(targetId);
+      if (!current || !current.enabled) return;
+
+      const videos = await quota.runWithCaller(
+        `cron:watchlist-${current.type}`,
+        () => youtubeService.fetchWatchTarget(current)
+      );
+      console.log(`Scheduled fetch for ${current.type} ${current.value}: ${videos.length} videos`);
+    } catch (error) {
+      console.error(`Error in scheduled fetch for watch target ${targetId}:`, error.message);
+    }
+  });
+
+  scheduledTasks.set(targetId, task);
+}
+
+/**
+ * Create cron tasks for all enabled targets with their own schedule
+ */
+async function scheduleWatchTargets() {
+  const targets = await WatchTarget.find({ enabled: true, schedule: { $nin: [null, ''] } });
+
+  for (const target of targets) {
+    scheduleTarget(target);
+  }
+
+  if (targets.length > 0) {
+    console.log(`Scheduled ${targets.length} watch target(s) with custom schedules`);
+  }
+}
+
+module.exports = {
+  seedWatchTargets,
+  scheduleTarget,
+  unscheduleTarget,
+  scheduleWatchTargets
+};
@@ -1,19 +1,30 @@
 const { google } = require('googleapis');
 const config = require('../config/config');
 const Video = require('../models/video');
-const natural = require('natural');
+const AdInsight = require('../models/adInsight');
+const Comment = require('../models/comment');
+const Channel = require('../models/channel');
+const ChannelSyncState = require('../models/channelSyncState');
+const WatchTarget = require('../models/watchTarget');
+const VideoStatsSnapshot = require('../models/videoStatsSnapshot');
+const quota = require('./quota');
+const captions = require('./captions');
+const brands = require('./brands');
+const links = require('./links');
+const llm = require('./llm');
+const analysisSchema = require('./analysisSchema');
+const prompts = require('./prompts');
+const llmCache = require('./llmCache');
+const sentimentService = require('./sentiment');
+const aspects = require('./aspects');
+const commentIngestion = require('./commentIngestion');
+const scoring = require('./scoring');
 const { NlpManager } = require('node-nlp');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const axios = require('axios');
 
 // NLP setup
-const tokenizer = new natural.WordTokenizer();
-const sentiment = new natural.SentimentAnalyzer('English', natural.PorterStemmer, 'afinn');
 const nlpManager = new NlpManager({ languages: ['en'] });
 
-// Gemini AI setup
-const genAI = new GoogleGenerativeAI(config.geminiApiKey);
-const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
 
 // Initialize the YouTube API client
 const youtube = google.youtube({
@@ -23,6 +34,7 @@ const youtube = google.youtube({
 
 /**
  * Extract ad placements and sponsorships from video description and tags
+ * Brands are resolved against the brand dictionary (see services/brands.js)
  * @param {string} description - Video description
  * @param {Array} tags - Video tags
  * @returns {Object} Information about detected ads and sponsorships
@@ -39,6 +51,7 @@ function detectSponsorship(description, tags) {
   let sponsorshipDetails = '';
   let detectedBrands = [];
   let adDuration = null;
+  const segments = [];
 
   // Check description for sponsorship indicators
   if (description) {
@@ -55,11 +68,8 @@ function detectSponsorship(description, tags) {
           if (sentence.toLowerCase().includes(keyword)) {
             sponsorshipDetails += sentence.trim() + '. ';
             
-            // Try to extract brand names
-            const potentialBrands = extractBrands(sentence);
-            if (potentialBrands.length > 0) {
-              detectedBrands = [...detectedBrands, ...potentialBrands];
-            }
+            // Resolve brands mentioned in the sponsorship sentence
+            detectedBrands = [...detectedBrands, ...brands.resolveBrands(sentence)];
           }
         }
         
@@ -78,71 +88,53 @@ function detectSponsorship(description, tags) {
           adIndicators.push(keyword);
         }
       }
-      
-      // Extract potential brand names from tags
-      if (tag.length > 3 && /^[A-Z]/.test(tag)) {
-        detectedBrands.push(tag);
-      }
     }
+    
+    // Tags only count when they name a known brand
+    detectedBrands = [...detectedBrands, ...brands.resolveBrandTags(tags)];
   }
   
-  // Look for timestamps in description that might indicate ad segments
-  const adTimestampRegex = /(\d+:?\d*)\s*-?\s*(\d+:?\d*)?\s*(ad|sponsor|promotion|sponsored)/i;
-  const timestampMatches = description ? description.match(adTimestampRegex) : null;
+  // Look for timestamps in description that might indicate ad segments (every match, not just the first)
+  const adTimestampRegex = /(\d+:?\d*)\s*-?\s*(\d+:?\d*)?\s*(ad|sponsor|promotion|sponsored)\b/gi;
+  const timestampMatches = description ? [...description.matchAll(adTimestampRegex)] : [];
   
-  if (timestampMatches) {
+  for (const timestampMatch of timestampMatches) {
     hasSponsorship = true;
     adIndicators.push('timestamp indicator');
-    sponsorshipDetails += `Ad segment detected at ${timestampMatches[1]}. `;
+    sponsorshipDetails += `Ad segment detected at ${timestampMatch[1]}. `;
     
     // Calculate ad duration if end timestamp is provided
-    if (timestampMatches[2]) {
-      const startTime = convertTimestampToSeconds(timestampMatches[1]);
-      const endTime = convertTimestampToSeconds(timestampMatches[2]);
-      if (startTime !== null && endTime !== null) {
-        adDuration = endTime - startTime;
+    if (timestampMatch[2]) {
+      const startTime = convertTimestampToSeconds(timestampMatch[1]);
+      const endTime = convertTimestampToSeconds(timestampMatch[2]);
+      if (startTime !== null && endTime !== null && endTime > startTime) {
+        segments.push({
+          start: startTime,
+          end: endTime,
+          duration: endTime - startTime,
+          source: 'description',
+          trigger: timestampMatch[0].trim()
+        });
+        adDuration = (adDuration || 0) + (endTime - startTime);
       }
     }
   }
 
+  // Sponsor links and promo codes can appear anywhere in the description
+  if (hasSponsorship && description) {
+    detectedBrands = [...detectedBrands, ...brands.resolveBrandLinks(description)];
+  }
+
   return {
     hasSponsorship,
     sponsorshipDetails: sponsorshipDetails.trim(),
     adIndicators: adIndicators.length > 0 ? [...new Set(adIndicators)] : [],
     detectedBrands: [...new Set(detectedBrands)],
-    adDuration
+    adDuration,
+    segments
   };
 }
 
-/**
- * Extract potential brand names from text
- * @param {string} text - Text to analyze
- * @returns {Array} Array of potential brand names
- */
-function extractBrands(text) {
-  const brands = [];
-  const words = text.split(/\s+/);
-  
-  // Look for capitalized words that might be brand names
-  const brandRegex = /^[A-Z][a-z]{2,}$/;
-  for (const word of words) {
-    const cleanWord = word.replace(/[,.!?;:()"']/g, '');
-    if (brandRegex.test(cleanWord)) {
-      brands.push(cleanWord);
-    }
-  }
-  
-  // Look for words followed by ® or ™ symbols
-  const trademarkedBrands = text.match(/([A-Za-z0-9]+)(?:\s*[®™])/g);
-  if (trademarkedBrands) {
-    trademarkedBrands.forEach(brand => {
-      brands.push(brand.replace(/[®™\s]/g, ''));
-    });
-  }
-  
-  return brands;
-}
-
 /**
  * Convert timestamp string to seconds
  * @param {string} timestamp - Timestamp in format mm:ss or m:ss
@@ -183,135 +175,345 @@ function calculateEngagementMetrics(viewCount, likeCount, commentCount) {
     metrics.commentToViewRatio = (commentCount / viewCount) * 100;
     metrics.overallEngagementRate = ((likeCount + commentCount) / viewCount) * 100;
     
-    // Estimate ad effectiveness (higher engagement often correlates with better ad placement)
-    // This is a simple heuristic - could be improved with more data
-    metrics.adEffectivenessScore = (metrics.likeToViewRatio * 0.7) + (metrics.commentToViewRatio * 0.3);
+    // Engagement rate weighted as in the built-in scoring profile; stored scores use services/scoring
+    metrics.adEffectivenessScore = scoring.weightedEngagementRate(metrics);
   }
   
   return metrics;
 }
 
+// Maximum number of IDs accepted by a single videos.list or channels.list call
+const VIDEO_DETAILS_BATCH_SIZE = 50;
+const CHANNEL_DETAILS_BATCH_SIZE = 50;
+
+/**
+ * Build the enriched video details object from a videos.list item
+ * @param {Object} videoData - Item returned by videos.list
+ * @returns {Object} Video details and statistics
+ */
+function buildVideoDetails(videoData) {
+  const snippet = videoData.snippet;
+  const statistics = videoData.statistics || {};
+  
+  // Extract video details
+  const viewCount = parseInt(statistics.viewCount) || 0;
+  const likeCount = parseInt(statistics.likeCount) || 0;
+  const commentCount = parseInt(statistics.commentCount) || 0;
+  
+  // Calculate engagement metrics
+  const engagementMetrics = calculateEngagementMetrics(
+    viewCount, likeCount, commentCount
+  );
+  
+  // Detect sponsorships
+  const sponsorshipInfo = detectSponsorship(snippet.description, snippet.tags);
+  
+  // Create detailed video object
+  return {
+    title: snippet.title,
+    description: snippet.description,
+    publishedAt: snippet.publishedAt,
+    channelId: snippet.channelId,
+    channelTitle: snippet.channelTitle,
+    viewCount,
+    likeCount,
+    commentCount,
+    favoriteCount: parseInt(statistics.favoriteCount) || 0,
+    duration: videoData.contentDetails.duration,
+    definition: videoData.contentDetails.definition, // SD or HD
+    dimension: videoData.contentDetails.dimension, // 2d or 3d
+    caption: videoData.contentDetails.caption === 'true', // Has captions?
+    licensedContent: videoData.contentDetails.licensedContent,
+    contentRating: videoData.contentDetails.contentRating,
+    tags: snippet.tags || [],
+    categoryId: snippet.categoryId,
+    liveBroadcastContent: snippet.liveBroadcastContent,
+    defaultLanguage: snippet.defaultLanguage,
+    defaultAudioLanguage: snippet.defaultAudioLanguage,
+    engagementMetrics,
+    sponsorshipInfo,
+    adInsights: {
+      lastAnalyzed: null,
+      sentiment: null,
+      aiAnalysis: null,
+      adStyle: null,
+      adEffectiveness: null
+    }
+  };
+}
+
+/**
+ * Get detailed video statistics for many videos, up to 50 IDs per videos.list call
+ * @param {Array<string>} videoIds - YouTube video IDs
+ * @param {Object} options - { analyzeLinks } set to false to skip description link expansion
+ *   (outbound HTTP requests) when only statistics are needed
+ * @returns {Promise<Map>} Map of video ID to video details (missing videos are left out)
+ */
+async function getVideoDetailsBatch(videoIds, options = {}) {
+  const analyzeLinks = options.analyzeLinks !== false;
+  const details = new Map();
+  await brands.ensureBrandsLoaded();
+
+  const uniqueIds = [...new Set(videoIds.filter(Boolean))];
+  
+  for (let i = 0; i < uniqueIds.length; i += VIDEO_DETAILS_BATCH_SIZE) {
+    const chunk = uniqueIds.slice(i, i + VIDEO_DETAILS_BATCH_SIZE);
+    
+    try {
+      const response = await quota.track('videos.list', () => youtube.videos.list({
+        part: 'snippet,statistics,contentDetails',
+        id: chunk.join(',')
+      }));
+      
+      for (const videoData of response.data.items || []) {
+        try {
+          const videoDetails = buildVideoDetails(videoData);
+          if (analyzeLinks) {
+            const linkEvidence = await links.analyzeDescriptionLinks(videoDetails.description);
+            videoDetails.sponsorshipInfo = links.applyLinkEvidence(videoDetails.sponsorshipInfo, linkEvidence);
+          }
+          details.set(videoData.id, videoDetails);
+        } catch (error) {
+          console.error(`Error parsing details for video ${videoData.id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      if (error instanceof quota.QuotaExceededError) throw error;
+      console.error(`Error fetching details for ${chunk.length} videos:`, error.message);
+    }
+  }
+  
+  const missing = uniqueIds.filter(id => !details.has(id));
+  if (missing.length > 0) {
+    console.log(`No details found for ${missing.length} video(s): ${missing.join(', ')}`);
+  }
+  
+  return details;
+}
+
 /**
  * Get detailed video statistics by video ID
  * @param {string} videoId - YouTube video ID
  * @returns {Promise<Object>} Video details and statistics
  */
 async function getVideoDetails(videoId) {
-  try {
-    const response = await youtube.videos.list({
-      part: 'snippet,statistics,contentDetails',
-      id: videoId
-    });
+  const details = await getVideoDetailsBatch([videoId]);
+  return details.get(videoId) || null;
+}
 
-    // console.log(`Video details fetched for video : ${response.data.items[0].snippet.title}`);
-    if (!response.data.items || response.data.items.length === 0) {
-      console.log(`No details found for video ${videoId}`);
-      return null;
-    }
-    
-    const videoData = response.data.items[0];
-    const snippet = videoData.snippet;
-    const statistics = videoData.statistics;
+/**
+ * Resolve a requested result count against the configured cap
+ * @param {number|null} maxResults - Requested number of results (null or 0 means "as many as allowed")
+ * @returns {number} Effective result limit
+ */
+function resolveResultLimit(maxResults) {
+  const requested = parseInt(maxResults);
+  const cap = config.pagination.maxResultsCap;
+  
+  return requested > 0 ? Math.min(requested, cap) : cap;
+}
 
-    // console.log(`Video details fetched for video with title: ${snippet.title}`);
+/**
+ * Page through a YouTube list endpoint until a limit, a date cutoff or the last page is reached
+ * @param {string} operation - API operation name used for quota tracking
+ * @param {Function} listPage - Function that requests one page with the given parameters
+ * @param {Object} params - Request parameters shared by every page
+ * @param {Object} options - { limit, pageSize, isPastCutoff(item) }
+ * @returns {Promise<Array>} Collected items
+ */
+async function listAllPages(operation, listPage, params, options) {
+  const { limit, pageSize, isPastCutoff } = options;
+  const items = [];
+  let pageToken;
+  
+  do {
+    const response = await quota.track(operation, () => listPage({
+      ...params,
+      maxResults: Math.min(pageSize, limit - items.length),
+      pageToken
+    }));
     
-    // Extract video details
-    const viewCount = parseInt(statistics.viewCount) || 0;
-    const likeCount = parseInt(statistics.likeCount) || 0;
-    const commentCount = parseInt(statistics.commentCount) || 0;
+    for (const item of response.data.items || []) {
+      if (isPastCutoff && isPastCutoff(item)) {
+        return items;
+      }
+      
+      items.push(item);
+      if (items.length >= limit) {
+        return items;
+      }
+    }
     
-    // Calculate engagement metrics
-    const engagementMetrics = calculateEngagementMetrics(
-      viewCount, likeCount, commentCount
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+  
+  return items;
+}
+
+/**
+ * Convert a YouTube comment resource to a comment object
+ * @param {Object} item - Comment resource (a thread's top-level comment or a reply)
+ * @param {Object} thread - { parentId, depth, replyCount }
+ * @returns {Object} Comment object
+ */
+function toCommentObject(item, thread) {
+  const comment = item.snippet;
+  return {
+    commentId: item.id,
+    parentId: thread.parentId,
+    depth: thread.depth,
+    replyCount: thread.replyCount,
+    text: comment.textDisplay,
+    authorName: comment.authorDisplayName,
+    authorProfileUrl: comment.authorProfileImageUrl,
+    likeCount: comment.likeCount,
+    publishedAt: comment.publishedAt,
+    updatedAt: comment.updatedAt
+  };
+}
+
+/**
+ * Get the replies of a comment thread
+ * commentThreads.list only includes up to 5 replies per thread; longer threads are paged
+ * in with comments.list. If paging fails (e.g. the thread was deleted), the replies included
+ * in the thread are returned so the rest of the video's comments are kept
+ * @param {Object} thread - commentThreads.list item (requested with the replies part)
+ * @returns {Promise<Array>} Reply resources, oldest first
+ */
+async function getThreadReplies(thread) {
+  const included = (thread.replies && thread.replies.comments) || [];
+  const totalReplyCount = thread.snippet.totalReplyCount || 0;
+  
+  if (totalReplyCount <= included.length) {
+    return included;
+  }
+  
+  try {
+    return await listAllPages(
+      'comments.list',
+      params => youtube.comments.list(params),
+      { part: 'snippet', parentId: thread.id },
+      { limit: config.comments.maxRepliesPerThread, pageSize: 100 }
     );
-    
-    // Detect sponsorships
-    const sponsorshipInfo = detectSponsorship(snippet.description, snippet.tags);
-    
-    // Create detailed video object
-    return {
-      title: snippet.title,
-      description: snippet.description,
-      viewCount,
-      likeCount,
-      commentCount,
-      favoriteCount: parseInt(statistics.favoriteCount) || 0,
-      duration: videoData.contentDetails.duration,
-      definition: videoData.contentDetails.definition, // SD or HD
-      dimension: videoData.contentDetails.dimension, // 2d or 3d
-      caption: videoData.contentDetails.caption === 'true', // Has captions?
-      licensedContent: videoData.contentDetails.licensedContent,
-      contentRating: videoData.contentDetails.contentRating,
-      tags: snippet.tags || [],
-      categoryId: snippet.categoryId,
-      liveBroadcastContent: snippet.liveBroadcastContent,
-      defaultLanguage: snippet.defaultLanguage,
-      defaultAudioLanguage: snippet.defaultAudioLanguage,
-      engagementMetrics,
-      sponsorshipInfo,
-      adInsights: {
-        lastAnalyzed: null,
-        sentiment: null,
-        aiAnalysis: null,
-        adStyle: null,
-        adEffectiveness: null
-      }
-    };
   } catch (error) {
-    console.error(`Error fetching details for video ${videoId}:`, error.message);
-    return null;
+    if (error instanceof quota.QuotaExceededError) throw error;
+    console.error(`Error fetching replies for comment thread ${thread.id}:`, error.message);
+    return included;
   }
 }
 
 /**
  * Get comments for a video
+ * Replies follow their top-level comment, with parentId set to the thread's comment ID
+ * and depth 1 (YouTube threads are one level deep)
  * @param {string} videoId - YouTube video ID
- * @param {number} maxResults - Maximum number of comments to retrieve
+ * @param {number} maxResults - Maximum number of comment threads to retrieve (paged 100 at a time)
+ * @param {Object} options - { publishedAfter } to only keep threads newer than a date,
+ *   { includeReplies } to fetch replies (default from config)
  * @returns {Promise<Array>} Array of comment objects
  */
-async function getVideoComments(videoId, maxResults = 100) {
+async function getVideoComments(videoId, maxResults = 100, options = {}) {
   try {
-    const response = await youtube.commentThreads.list({
-      part: 'snippet',
-      videoId: videoId,
-      maxResults: maxResults,
-      order: 'relevance' // Get most relevant comments
-    });
+    const publishedAfter = options.publishedAfter ? new Date(options.publishedAfter) : null;
+    const includeReplies = options.includeReplies !== undefined
+      ? options.includeReplies
+      : config.comments.fetchReplies;
+    
+    const threads = await listAllPages(
+      'commentThreads.list',
+      params => youtube.commentThreads.list(params),
+      {
+        part: includeReplies ? 'snippet,replies' : 'snippet',
+        videoId: videoId,
+        // Get most relevant comments, or newest first when paging back to a cutoff
+        order: publishedAfter ? 'time' : 'relevance'
+      },
+      {
+        limit: resolveResultLimit(maxResults),
+        pageSize: 100,
+        isPastCutoff: publishedAfter
+          ? item => new Date(item.snippet.topLevelComment.snippet.publishedAt) < publishedAfter
+          : null
+      }
+    );
     
-    if (!response.data.items || response.data.items.length === 0) {
+    if (threads.length === 0) {
       console.log(`No comments found for video ${videoId}`);
       return [];
     }
     
-    // console.log(`Comments found for video : ${response.data.items.length}`);
+    // console.log(`Comments found for video : ${threads.length}`);
 
     // Extract comment data
-    const comments = response.data.items.map(item => {
-      const comment = item.snippet.topLevelComment.snippet;
-      return {
-        commentId: item.id,
-        text: comment.textDisplay,
-        authorName: comment.authorDisplayName,
-        authorProfileUrl: comment.authorProfileImageUrl,
-        likeCount: comment.likeCount,
-        publishedAt: comment.publishedAt,
-        updatedAt: comment.updatedAt
-      };
-    });
+    const comments = [];
+    for (const item of threads) {
+      comments.push(toCommentObject(item.snippet.topLevelComment, {
+        parentId: null,
+        depth: 0,
+        replyCount: item.snippet.totalReplyCount || 0
+      }));
+      
+      if (!includeReplies || !item.snippet.totalReplyCount) continue;
+      
+      const replies = await getThreadReplies(item);
+      replies
+        .sort((a, b) => new Date(a.snippet.publishedAt) - new Date(b.snippet.publishedAt))
+        .forEach(reply => comments.push(toCommentObject(reply, { parentId: item.id, depth: 1, replyCount: 0 })));
+    }
     
     return comments;
   } catch (error) {
+    if (error instanceof quota.QuotaExceededError) throw error;
     console.error(`Error fetching comments for video ${videoId}:`, error.message);
     return [];
   }
 }
 
+/**
+ * Fetch, score and store the comments of a video
+ * @param {string} videoId - YouTube video ID
+ * @param {number} maxResults - Maximum number of comment threads to retrieve
+ * @param {Object} options - getVideoComments options ({ publishedAfter, includeReplies }) and
+ *   scoring options ({ fallbackLanguage, brands })
+ * @returns {Promise<Array>} Stored comments with sentiment, spam and ad indicators
+ */
+async function ingestVideoComments(videoId, maxResults = 100, options = {}) {
+  const comments = await getVideoComments(videoId, maxResults, options);
+  if (comments.length === 0) return comments;
+  
+  return commentIngestion.ingestComments(videoId, comments, options);
+}
+
 /**
  * Analyze sentiment of video comments
+ * Each comment is scored in its detected language (stored comments reuse their score);
+ * comments in unsupported languages are counted separately instead of as neutral. Sentiment toward the sponsor, the ad read
+ * and each brand is scored on the clauses that mention them
  * @param {Array} comments - Array of comment objects
- * @returns {Object} Sentiment analysis results
+ * @param {Object} options - { fallbackLanguage } assumed for comments too short to detect,
+ *   { brands } detected on the video, { includeReplies } to count replies and { includeSpam } to count
+ *   comments flagged as spam (defaults from config)
+ * @returns {Promise<Object>} Sentiment analysis results with per-language and per-aspect breakdowns,
+ *   plus brandSentiment and adAnnoyance
  */
-function analyzeCommentSentiment(comments) {
+async function analyzeCommentSentiment(comments, options = {}) {
+  const includeReplies = options.includeReplies !== undefined
+    ? options.includeReplies
+    : config.comments.includeRepliesInSentiment;
+  
+  const includeSpam = options.includeSpam !== undefined
+    ? options.includeSpam
+    : config.spam.includeInSentiment;
+  
+  if (comments && !includeReplies) {
+    comments = comments.filter(comment => !comment.parentId);
+  }
+  
+  const spamComments = comments ? comments.filter(comment => comment.spam && comment.spam.isSpam).length : 0;
+  if (comments && !includeSpam) {
+    comments = comments.filter(comment => !(comment.spam && comment.spam.isSpam));
+  }
+  
   if (!comments || comments.length === 0) {
     return {
       averageSentiment: 0,
@@ -319,66 +521,45 @@ function analyzeCommentSentiment(comments) {
       negativePercentage: 0,
       neutralPercentage: 0,
       totalComments: 0,
-      keywordSentiment: {}
+      analyzedComments: 0,
+      unsupportedComments: 0,
+      replyComments: 0,
+      includesReplies: includeReplies,
+      spamComments,
+      includesSpam: includeSpam,
+      languageBreakdown: {},
+      aspectSentiment: {},
+      brandSentiment: [],
+      adAnnoyance: { commentCount: 0, percentage: 0, indicators: {} }
     };
   }
   
-  let totalSentiment = 0;
-  let positiveCount = 0;
-  let negativeCount = 0;
-  let neutralCount = 0;
-  const keywordSentiment = {};
-  
+  const scores = [];
   for (const comment of comments) {
-    const tokens = tokenizer.tokenize(comment.text);
-    const sentimentScore = sentiment.getSentiment(tokens) || 0; // Ensure we have a number
-    // console.log(`Sentiment score for comment: ${comment.text} is ${sentimentScore}`);
-    
-    totalSentiment += sentimentScore;
-    
-    if (sentimentScore > 0.05) {
-      positiveCount++;
-    } else if (sentimentScore < -0.05) {
-      negativeCount++;
-    } else {
-      neutralCount++;
-    }
-    
-    // Analyze sentiment for keywords related to ads
-    const adKeywords = ['ad', 'sponsor', 'promotion', 'sponsored', 'brand', 'product'];
-    for (const keyword of adKeywords) {
-      if (comment.text.toLowerCase().includes(keyword)) {
-        if (!keywordSentiment[keyword]) {
-          keywordSentiment[keyword] = {
-            count: 0,
-            totalSentiment: 0,
-            averageSentiment: 0
-          };
-        }
-        
-        keywordSentiment[keyword].count++;
-        keywordSentiment[keyword].totalSentiment += sentimentScore;
+    const stored = comment.sentiment;
+    scores.push(stored && stored.classification
+      ? {
+        language: stored.language,
+        supported: stored.classification !== 'unsupported',
+        score: stored.score,
+        classification: stored.classification
       }
-    }
+      : await sentimentService.scoreText(comment.text, options));
   }
   
-  // Calculate averages for keyword sentiment
-  for (const keyword in keywordSentiment) {
-    if (keywordSentiment[keyword].count > 0) {
-      keywordSentiment[keyword].averageSentiment = 
-        (keywordSentiment[keyword].totalSentiment / keywordSentiment[keyword].count) || 0;
-    }
-  }
+  const { aspectSentiment, brandSentiment, adAnnoyance } = await aspects.analyzeAspects(comments, scores, options);
+  
+  const summary = sentimentService.summarizeScores(scores);
   
-  // Ensure all values are valid numbers
-  const totalComments = comments.length;
   return {
-    averageSentiment: totalComments > 0 ? (totalSentiment / totalComments) || 0 : 0,
-    positivePercentage: totalComments > 0 ? ((positiveCount / totalComments) * 100) || 0 : 0,
-    negativePercentage: totalComments > 0 ? ((negativeCount / totalComments) * 100) || 0 : 0,
-    neutralPercentage: totalComments > 0 ? ((neutralCount / totalComments) * 100) || 0 : 0,
-    totalComments: totalComments,
-    keywordSentiment
+    ...summary,
+    replyComments: comments.filter(comment => comment.parentId).length,
+    includesReplies: includeReplies,
+    spamComments,
+    includesSpam: includeSpam,
+    aspectSentiment,
+    brandSentiment,
+    adAnnoyance
   };
 }
 
@@ -386,133 +567,160 @@ function analyzeCommentSentiment(comments) {
  * Analyze video content using AI
  * @param {Object} videoData - Video data object
  * @param {Array} comments - Video comments
+ * @param {Object} options - LLM provider and model ({ provider, model }), prompt template
+ *   ({ template: { name, version, body } }), force (skip the response cache), cacheResponse
+ *   (set to false to leave a new response out of the cache, e.g. for previews), includeReplies and
+ *   includeSpam (count replies and spam in the sentiment) and scoringProfile (ad effectiveness
+ *   profile name); defaults from config and the active template and profile
  * @returns {Promise<Object>} AI analysis results
  */
-async function analyzeVideoContent(videoData, comments) {
+async function analyzeVideoContent(videoData, comments, options = {}) {
+  const { provider, model } = llm.resolveLlmOptions(options);
+  const template = options.template || await prompts.getActiveTemplate(prompts.AD_ANALYSIS_TEMPLATE);
+  const promptTemplate = { name: template.name, version: template.version };
+
   try {
     // Extract relevant information for analysis
-    const { title, description, tags, sponsorshipInfo, engagementMetrics } = videoData;
-
+    const { title, sponsorshipInfo } = videoData;
     
     // Prepare context for AI analysis
-    const prompt = `You are an expert at analyzing YouTube video content and providing insights about advertising and sponsorship.
-
-Analyze this YouTube video content for ad insights:
+    const prompt = prompts.renderPrompt(template.body, prompts.buildPromptVariables(videoData, comments));
 
-Title: ${title}
-Description: ${description.substring(0, 1000)} // Limit description length
-Tags: ${tags ? tags.join(', ') : ''}
-Has Sponsorship: ${sponsorshipInfo.hasSponsorship}
-Sponsorship Details: ${sponsorshipInfo.sponsorshipDetails}
-Engagement Rate: ${engagementMetrics.overallEngagementRate.toFixed(2)}%
-
-Comment Samples:
-${comments.slice(0, 5).map(c => c.text).join('\n')}
-
-Provide insights on:
-1. Ad Style (long-form vs short-form, narrative style, CTAs)
-2. Brand Mentions and Product Placements
-3. Audience Engagement with Ads
-4. Effectiveness of Ad Placement
-5. Recommendations for Improving Ad Performance`;
-
-    console.log(`Generating AI insights for video: ${title}`);
+    // Reuse the stored analysis when the video content and prompt have not changed
+    const cacheKey = llmCache.buildCacheKey(videoData, comments, promptTemplate, { provider, model });
+    let response = options.force ? null : await llmCache.getCachedResponse(cacheKey);
+    const cacheHit = Boolean(response);
     
-    // Use Gemini AI for advanced analysis
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const aiInsights = response.text().trim();
-    
-    console.log(`AI response received for video: ${title}`);
+    if (cacheHit) {
+      console.log(`Using cached AI insights for video: ${title} (${provider}/${model}, prompt ${template.name} v${template.version})`);
+    } else {
+      console.log(`Generating AI insights for video: ${title} (${provider}/${model}, prompt ${template.name} v${template.version})`);
+      
+      response = await llm.generateJson(
+        prompt,
+        { validate: analysisSchema.validateAnalysis, description: analysisSchema.ANALYSIS_SCHEMA_DESCRIPTION },
+        { provider, model }
+      );
+      
+      console.log(`AI response received for video: ${title} (${response.valid ? 'valid' : 'invalid'} JSON, ${response.repairAttempts} repair attempt(s))`);
+      
+      // Only validated analyses are worth reusing
+      if (response.valid && options.cacheResponse !== false) {
+        await llmCache.saveCachedResponse(cacheKey, { provider, model, promptTemplate, response });
+      }
+    }
+    const analysis = response.value;
     
-    // Determine ad style based on sponsorship info and AI analysis
+    // Determine ad style: measured ad duration first, then the model's classification
     let adStyle = "Unknown";
     if (sponsorshipInfo.hasSponsorship) {
       if (sponsorshipInfo.adDuration) {
         adStyle = sponsorshipInfo.adDuration > 60 ? "Long-form" : "Short-form";
-      } else if (aiInsights.toLowerCase().includes("long-form")) {
+      } else if (analysis && analysis.adFormat === 'long-form') {
         adStyle = "Long-form";
-      } else if (aiInsights.toLowerCase().includes("short-form")) {
+      } else if (analysis && analysis.adFormat === 'short-form') {
         adStyle = "Short-form";
       }
     }
     
     // Evaluate ad effectiveness based on engagement metrics and sentiment
-    const commentSentiment = analyzeCommentSentiment(comments);
-    const adEffectiveness = calculateAdEffectiveness(engagementMetrics, commentSentiment);
+    const { brandSentiment, adAnnoyance, ...commentSentiment } = await analyzeCommentSentiment(comments, {
+      fallbackLanguage: videoData.defaultAudioLanguage || videoData.defaultLanguage,
+      brands: sponsorshipInfo.detectedBrands,
+      includeReplies: options.includeReplies,
+      includeSpam: options.includeSpam
+    });
+    const effectiveness = await scoring.scoreAdEffectiveness(
+      videoData,
+      { sentiment: commentSentiment, adAnnoyance },
+      { profile: options.scoringProfile }
+    );
     
     return {
-      aiInsights,
+      // Invalid responses keep the raw text so the analysis is not lost
+      aiInsights: analysis ? analysis.summary : response.text,
+      aiAnalysis: analysis,
+      aiAnalysisStatus: !response.valid ? 'invalid' : response.repairAttempts > 0 ? 'repaired' : 'valid',
       adStyle,
-      adEffectiveness,
+      adEffectiveness: effectiveness.score,
+      adEffectivenessBreakdown: effectiveness.breakdown,
+      scoringProfile: effectiveness.profile,
       adSentiment: commentSentiment,
+      brandSentiment,
+      adAnnoyance,
+      llmProvider: provider,
+      llmModel: model,
+      promptTemplate,
+      cacheHit,
+      // Requests the analysis took (initial request plus repairs), or saved when served from cache
+      llmCalls: cacheHit ? 0 : 1 + response.repairAttempts,
+      savedLlmCalls: cacheHit ? 1 + response.repairAttempts : 0,
       lastAnalyzed: new Date()
     };
   } catch (error) {
     console.error('Error analyzing video content:', error.message);
     return {
       aiInsights: "Analysis failed",
+      aiAnalysis: null,
+      aiAnalysisStatus: 'failed',
       adStyle: "Unknown",
       adEffectiveness: 0,
+      adEffectivenessBreakdown: null,
+      scoringProfile: null,
       adSentiment: {
         averageSentiment: 0,
         positivePercentage: 0,
         negativePercentage: 0,
         neutralPercentage: 0
       },
+      brandSentiment: [],
+      adAnnoyance: null,
+      llmProvider: provider,
+      llmModel: model,
+      promptTemplate,
+      cacheHit: false,
+      llmCalls: 0,
+      savedLlmCalls: 0,
       lastAnalyzed: new Date()
     };
   }
 }
 
-/**
- * Calculate ad effectiveness score
- * @param {Object} engagementMetrics - Video engagement metrics
- * @param {Object} sentiment - Comment sentiment analysis
- * @returns {number} Ad effectiveness score (0-100)
- */
-function calculateAdEffectiveness(engagementMetrics, sentiment) {
-  // Weight factors
-  const weights = {
-    engagement: 0.5,
-    sentiment: 0.5
-  };
-  
-  // Normalize engagement metrics (0-100)
-  const normalizedEngagement = Math.min(engagementMetrics.adEffectivenessScore * 10, 100);
-  
-  // Calculate sentiment score (0-100)
-  const sentimentScore = (sentiment.positivePercentage - sentiment.negativePercentage + 100) / 2;
-  
-  // Calculate weighted score
-  const effectivenessScore = (normalizedEngagement * weights.engagement) + 
-                            (sentimentScore * weights.sentiment);
-  
-  return Math.max(0, Math.min(100, effectivenessScore));
-}
-
 /**
  * Generate an ad insights report for a video
  * @param {string} videoId - YouTube video ID
+ * @param {Object} options - LLM provider and model for the AI analysis ({ provider, model }),
+ *   force to bypass the LLM response cache, includeReplies and includeSpam to count replies
+ *   and spam comments in the sentiment, and scoringProfile for the ad effectiveness score
  * @returns {Promise<Object>} Ad insights report
  */
-async function generateAdInsightsReport(videoId) {
+async function generateAdInsightsReport(videoId, options = {}) {
   try {
     // Get video details
     const videoData = await getVideoDetails(videoId);
     if (!videoData) {
       return { success: false, error: 'Video not found' };
     }
+    
+    // Use sponsor segments measured from captions, if any were ingested
+    const storedVideo = await Video.findOne({ videoId }).select('sponsorshipInfo.segments');
+    const transcriptSegments = getTranscriptSegments(storedVideo);
+    if (transcriptSegments.length > 0) {
+      videoData.sponsorshipInfo = captions.applyTranscriptSegments(videoData.sponsorshipInfo, transcriptSegments);
+    }
 
     // console.log(`Video details fetched for viewcount: ${videoData.viewCount}`);
     
-    // Get video comments
-    const comments = await getVideoComments(videoId);
+    // Get, score and store video comments
+    const comments = await ingestVideoComments(videoId, 100, {
+      fallbackLanguage: videoData.defaultAudioLanguage || videoData.defaultLanguage,
+      brands: videoData.sponsorshipInfo.detectedBrands
+    });
 
     // console.log(`Comments found for video : ${comments.length}`);
     
     // Analyze video content
-    const analysisResults = await analyzeVideoContent(videoData, comments);
+    const analysisResults = await analyzeVideoContent(videoData, comments, options);
     
     // Create report
     const report = {
@@ -527,7 +735,8 @@ async function generateAdInsightsReport(videoId) {
         sponsorshipDetails: videoData.sponsorshipInfo.sponsorshipDetails,
         adIndicators: videoData.sponsorshipInfo.adIndicators,
         detectedBrands: videoData.sponsorshipInfo.detectedBrands,
-        adDuration: videoData.sponsorshipInfo.adDuration
+        adDuration: videoData.sponsorshipInfo.adDuration,
+        segments: videoData.sponsorshipInfo.segments
       },
       engagement: {
         likeCount: videoData.likeCount,
@@ -537,9 +746,23 @@ async function generateAdInsightsReport(videoId) {
         overallEngagementRate: videoData.engagementMetrics.overallEngagementRate
       },
       sentimentAnalysis: analysisResults.adSentiment,
+      brandSentiment: analysisResults.brandSentiment,
+      adAnnoyance: analysisResults.adAnnoyance,
       adStyle: analysisResults.adStyle,
       adEffectiveness: analysisResults.adEffectiveness,
+      adEffectivenessBreakdown: analysisResults.adEffectivenessBreakdown,
+      scoringProfile: analysisResults.scoringProfile,
       aiInsights: analysisResults.aiInsights,
+      aiAnalysis: analysisResults.aiAnalysis,
+      aiAnalysisStatus: analysisResults.aiAnalysisStatus,
+      llm: {
+        provider: analysisResults.llmProvider,
+        model: analysisResults.llmModel,
+        cacheHit: analysisResults.cacheHit,
+        calls: analysisResults.llmCalls,
+        savedCalls: analysisResults.savedLlmCalls
+      },
+      promptTemplate: analysisResults.promptTemplate,
       generatedAt: new Date()
     };
     
@@ -549,14 +772,23 @@ async function generateAdInsightsReport(videoId) {
     return { success: true, report };
   } catch (error) {
     console.error(`Error generating ad insights report for video ${videoId}:`, error.message);
-    return { success: false, error: error.message };
+    return {
+      success: false,
+      error: error.message,
+      quotaExceeded: error instanceof quota.QuotaExceededError
+    };
   }
 }
 
+// Attempts at storing a report version before giving up on concurrent saves
+const REPORT_VERSION_ATTEMPTS = 5;
+
 /**
  * Save ad insights report to database
+ * Updates the video's latest insights and stores the report as a new AdInsight version
  * @param {string} videoId - YouTube video ID
  * @param {Object} report - Ad insights report
+ * @returns {Promise<Object|null>} Saved AdInsight document or null on failure
  */
 async function saveAdInsightsReport(videoId, report) {
   try {
@@ -576,18 +808,142 @@ async function saveAdInsightsReport(videoId, report) {
       { new: true }
     );
     
-    console.log(`Ad insights report saved for video ${videoId}`);
+    // Concurrent generations for the same video (e.g. a job and the manual route) can pick
+    // the same version number; the unique index rejects the second one, which retries
+    let adInsight = null;
+    let version;
+    for (let attempt = 1; !adInsight; attempt++) {
+      const previous = await AdInsight.findOne({ videoId })
+        .sort({ version: -1 })
+        .select('version');
+      version = previous ? previous.version + 1 : 1;
+      
+      try {
+        adInsight = await AdInsight.create({
+          videoId,
+          channelId: report.channelId,
+          title: report.title,
+          channelTitle: report.channelTitle,
+          publishedAt: report.publishedAt,
+          hasSponsorship: report.adData.hasSponsorship,
+          sponsorshipDetails: report.adData.sponsorshipDetails,
+          adIndicators: report.adData.adIndicators,
+          detectedBrands: report.adData.detectedBrands,
+          adDuration: report.adData.adDuration,
+          adSegments: report.adData.segments,
+          adStyle: report.adStyle,
+          viewCount: report.viewCount,
+          likeCount: report.engagement.likeCount,
+          commentCount: report.engagement.commentCount,
+          engagementRate: report.engagement.overallEngagementRate,
+          adEffectiveness: report.adEffectiveness,
+          adEffectivenessBreakdown: report.adEffectivenessBreakdown,
+          scoringProfile: report.scoringProfile,
+          sentimentAnalysis: report.sentimentAnalysis,
+          brandSentiment: report.brandSentiment,
+          adAnnoyance: report.adAnnoyance,
+          aiInsights: report.aiInsights,
+          aiAnalysis: report.aiAnalysis,
+          aiAnalysisStatus: report.aiAnalysisStatus,
+          llmProvider: report.llm.provider,
+          llmModel: report.llm.model,
+          llmCacheHit: report.llm.cacheHit,
+          promptTemplate: report.promptTemplate,
+          generatedAt: report.generatedAt,
+          version,
+          isLatest: true
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= REPORT_VERSION_ATTEMPTS) throw error;
+      }
+    }
+    
+    // Older versions are kept for history but no longer count as current
+    await AdInsight.updateMany(
+      { videoId, version: { $lt: version } },
+      { $set: { isLatest: false } }
+    );
+    
+    console.log(`Ad insights report saved for video ${videoId} (version ${version})`);
+    return adInsight;
   } catch (error) {
     console.error(`Error saving ad insights report for video ${videoId}:`, error.message);
+    return null;
   }
 }
 
+// Fields compared between adjacent AdInsight versions
+const VERSIONED_INSIGHT_FIELDS = [
+  'title',
+  'hasSponsorship',
+  'sponsorshipDetails',
+  'adIndicators',
+  'detectedBrands',
+  'adDuration',
+  'adStyle',
+  'viewCount',
+  'likeCount',
+  'commentCount',
+  'engagementRate',
+  'adEffectiveness',
+  'scoringProfile.name',
+  'scoringProfile.version',
+  'sentimentAnalysis.averageSentiment',
+  'sentimentAnalysis.positivePercentage',
+  'sentimentAnalysis.negativePercentage',
+  'sentimentAnalysis.neutralPercentage',
+  'sentimentAnalysis.totalComments',
+  'sentimentAnalysis.spamComments',
+  'sentimentAnalysis.aspectSentiment.sponsor.averageSentiment',
+  'sentimentAnalysis.aspectSentiment.adRead.averageSentiment',
+  'adAnnoyance.percentage',
+  'aiInsights',
+  'aiAnalysis.adFormat',
+  'aiAnalysis.narrativeStyle',
+  'aiAnalysis.ctaTypes',
+  'aiAnalysis.placement',
+  'aiAnalysis.audienceReaction',
+  'llmProvider',
+  'llmModel',
+  'promptTemplate.version'
+];
+
+/**
+ * Compare two AdInsight versions field by field
+ * @param {Object} previous - Older AdInsight document
+ * @param {Object} current - Newer AdInsight document
+ * @returns {Array} Changed fields with their old and new values
+ */
+function diffAdInsightVersions(previous, current) {
+  const getPath = (doc, path) => path.split('.')
+    .reduce((value, key) => (value == null ? undefined : value[key]), doc);
+  
+  const changes = [];
+  
+  for (const field of VERSIONED_INSIGHT_FIELDS) {
+    const from = getPath(previous, field);
+    const to = getPath(current, field);
+    
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      const change = { field, from, to };
+      if (typeof from === 'number' && typeof to === 'number') {
+        change.delta = to - from;
+      }
+      changes.push(change);
+    }
+  }
+  
+  return changes;
+}
+
 /**
  * Generate batch ad insights reports for all videos in a channel
  * @param {string} channelId - YouTube channel ID
+ * @param {Object} options - LLM provider and model for the AI analysis ({ provider, model }),
+ *   and force to bypass the LLM response cache
  * @returns {Promise<Object>} Batch processing results
  */
-async function generateChannelAdInsights(channelId) {
+async function generateChannelAdInsights(channelId, options = {}) {
   try {
     const videos = await Video.find({ channelId });
     
@@ -599,14 +955,18 @@ async function generateChannelAdInsights(channelId) {
       total: videos.length,
       processed: 0,
       failed: 0,
+      cacheHits: 0,
+      savedLlmCalls: 0,
       reports: []
     };
     
     for (const video of videos) {
       try {
-        const result = await generateAdInsightsReport(video.videoId);
+        const result = await generateAdInsightsReport(video.videoId, options);
         if (result.success) {
           results.processed++;
+          if (result.report.llm.cacheHit) results.cacheHits++;
+          results.savedLlmCalls += result.report.llm.savedCalls;
           results.reports.push({
             videoId: video.videoId,
             title: video.title,
@@ -639,65 +999,291 @@ async function generateChannelAdInsights(channelId) {
   }
 }
 
+// Parts requested for channel profiles; channels.list costs 1 unit whatever the parts
+const CHANNEL_PARTS = 'snippet,statistics,brandingSettings,topicDetails,contentDetails';
+
 /**
- * Fetch videos from a specific YouTube channel
+ * Parse the channel keywords string ('tech "product reviews" gadgets')
+ * @param {string} keywords - Space-separated keywords, multi-word ones in quotes
+ * @returns {Array} Keywords
+ */
+function parseChannelKeywords(keywords) {
+  if (!keywords) return [];
+  return [...keywords.matchAll(/"([^"]+)"|(\S+)/g)].map(match => match[1] || match[2]);
+}
+
+/**
+ * Build a channel profile from a channels.list item
+ * @param {Object} item - Item returned by channels.list with CHANNEL_PARTS
+ * @returns {Object} Channel fields
+ */
+function buildChannelProfile(item) {
+  const snippet = item.snippet || {};
+  const statistics = item.statistics || {};
+  const branding = (item.brandingSettings && item.brandingSettings.channel) || {};
+  const topicCategories = (item.topicDetails && item.topicDetails.topicCategories) || [];
+  
+  return {
+    channelId: item.id,
+    title: snippet.title,
+    description: snippet.description,
+    customUrl: snippet.customUrl,
+    publishedAt: snippet.publishedAt,
+    thumbnailUrl: snippet.thumbnails?.high?.url || snippet.thumbnails?.default?.url,
+    country: snippet.country || branding.country,
+    defaultLanguage: snippet.defaultLanguage || branding.defaultLanguage,
+    keywords: parseChannelKeywords(branding.keywords),
+    subscriberCount: statistics.hiddenSubscriberCount ? null : parseInt(statistics.subscriberCount) || 0,
+    hiddenSubscriberCount: Boolean(statistics.hiddenSubscriberCount),
+    viewCount: parseInt(statistics.viewCount) || 0,
+    videoCount: parseInt(statistics.videoCount) || 0,
+    // 'https://en.wikipedia.org/wiki/Video_game_culture' -> 'Video game culture'
+    topics: topicCategories.map(url => decodeURIComponent(url.split('/').pop()).replace(/_/g, ' ')),
+    topicCategories,
+    uploadsPlaylistId: item.contentDetails?.relatedPlaylists?.uploads,
+    profileUpdatedAt: new Date()
+  };
+}
+
+/**
+ * Compute how often a channel uploads from its stored videos
+ * @param {string} channelId - YouTube channel ID
+ * @returns {Promise<Object>} { uploadsPerWeek, averageDaysBetweenUploads, lastUploadAt, sampleSize }
+ */
+async function calculateUploadCadence(channelId) {
+  const uploads = await Video.find({ channelId, publishedAt: { $ne: null } })
+    .sort({ publishedAt: -1 })
+    .limit(config.channels.cadenceSampleSize)
+    .select('publishedAt');
+  
+  const cadence = {
+    uploadsPerWeek: null,
+    averageDaysBetweenUploads: null,
+    lastUploadAt: uploads.length > 0 ? uploads[0].publishedAt : null,
+    sampleSize: uploads.length
+  };
+  
+  if (uploads.length >= 2) {
+    const spanDays = (uploads[0].publishedAt - uploads[uploads.length - 1].publishedAt) / (24 * 60 * 60 * 1000);
+    cadence.averageDaysBetweenUploads = spanDays / (uploads.length - 1);
+    cadence.uploadsPerWeek = cadence.averageDaysBetweenUploads > 0 ? 7 / cadence.averageDaysBetweenUploads : null;
+  }
+  
+  return cadence;
+}
+
+/**
+ * Store a channel profile with its upload cadence
+ * @param {Object} profile - Channel fields from buildChannelProfile
+ * @returns {Promise<Object>} Saved Channel document
+ */
+async function saveChannelProfile(profile) {
+  const uploadCadence = await calculateUploadCadence(profile.channelId);
+  
+  return Channel.findOneAndUpdate(
+    { channelId: profile.channelId },
+    { $set: { ...profile, uploadCadence } },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Recompute the upload cadence of stored channel profiles after new videos were saved
+ * @param {Array<string>} channelIds - YouTube channel IDs
+ */
+async function updateUploadCadence(channelIds) {
+  const profiles = await Channel.find({ channelId: { $in: [...new Set(channelIds.filter(Boolean))] } })
+    .select('channelId');
+  
+  for (const { channelId } of profiles) {
+    const uploadCadence = await calculateUploadCadence(channelId);
+    await Channel.updateOne({ channelId }, { $set: { uploadCadence } });
+  }
+}
+
+/**
+ * Fetch and store channel profiles, up to 50 IDs per channels.list call
+ * @param {Array<string>} channelIds - YouTube channel IDs
+ * @returns {Promise<Map>} Map of channel ID to saved Channel document (missing channels are left out)
+ */
+async function refreshChannelProfiles(channelIds) {
+  const profiles = new Map();
+  const uniqueIds = [...new Set(channelIds.filter(Boolean))];
+  
+  for (let i = 0; i < uniqueIds.length; i += CHANNEL_DETAILS_BATCH_SIZE) {
+    const chunk = uniqueIds.slice(i, i + CHANNEL_DETAILS_BATCH_SIZE);
+    
+    try {
+      const response = await quota.track('channels.list', () => youtube.channels.list({
+        part: CHANNEL_PARTS,
+        id: chunk.join(',')
+      }));
+      
+      for (const item of response.data.items || []) {
+        profiles.set(item.id, await saveChannelProfile(buildChannelProfile(item)));
+      }
+    } catch (error) {
+      if (error instanceof quota.QuotaExceededError) throw error;
+      console.error(`Error fetching profiles for ${chunk.length} channels:`, error.message);
+    }
+  }
+  
+  return profiles;
+}
+
+/**
+ * Get stored video and ad frequency stats per channel
+ * @param {Array<string>} channelIds - YouTube channel IDs
+ * @returns {Promise<Map>} Map of channel ID to { storedVideos, sponsoredVideos, adFrequency,
+ *   analyzedVideos, avgAdEffectiveness, topBrands }
+ */
+async function getChannelAdStats(channelIds) {
+  const [videoStats, insightStats, brandStats] = await Promise.all([
+    Video.aggregate([
+      { $match: { channelId: { $in: channelIds } } },
+      { $group: {
+        _id: '$channelId',
+        storedVideos: { $sum: 1 },
+        sponsoredVideos: { $sum: { $cond: ['$sponsorshipInfo.hasSponsorship', 1, 0] } }
+      } }
+    ]),
+    AdInsight.aggregate([
+      { $match: { channelId: { $in: channelIds }, isLatest: true } },
+      { $group: { _id: '$channelId', analyzedVideos: { $sum: 1 }, avgAdEffectiveness: { $avg: '$adEffectiveness' } } }
+    ]),
+    Video.aggregate([
+      { $match: { channelId: { $in: channelIds }, 'sponsorshipInfo.hasSponsorship': true } },
+      { $unwind: '$sponsorshipInfo.detectedBrands' },
+      { $group: { _id: { channelId: '$channelId', brand: '$sponsorshipInfo.detectedBrands' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ])
+  ]);
+  
+  const stats = new Map(channelIds.map(channelId => [channelId, {
+    storedVideos: 0,
+    sponsoredVideos: 0,
+    adFrequency: 0,
+    analyzedVideos: 0,
+    avgAdEffectiveness: null,
+    topBrands: []
+  }]));
+  
+  for (const { _id, storedVideos, sponsoredVideos } of videoStats) {
+    Object.assign(stats.get(_id), {
+      storedVideos,
+      sponsoredVideos,
+      adFrequency: storedVideos > 0 ? (sponsoredVideos / storedVideos) * 100 : 0
+    });
+  }
+  for (const { _id, analyzedVideos, avgAdEffectiveness } of insightStats) {
+    Object.assign(stats.get(_id), { analyzedVideos, avgAdEffectiveness });
+  }
+  for (const { _id, count } of brandStats) {
+    const channelStats = stats.get(_id.channelId);
+    if (channelStats.topBrands.length < 5) {
+      channelStats.topBrands.push({ brand: _id.brand, videos: count });
+    }
+  }
+  
+  return stats;
+}
+
+/**
+ * Fetch uploads from a YouTube channel, throwing on any error
  * @param {string} channelId - The YouTube channel ID
- * @param {number} maxResults - Maximum number of results to return
+ * @param {number} maxResults - Maximum number of results to return (paged 50 at a time)
+ * @param {Object} options - { publishedAfter, knownVideoIds } paging stops at the first upload
+ *   older than publishedAfter or already in knownVideoIds
  * @returns {Promise<Array>} Array of video objects
  */
-async function fetchVideosFromChannel(channelId, maxResults = 10) {
-  try {
-    // First, get the upload playlist ID for the channel
-    const channelResponse = await youtube.channels.list({
-      part: 'contentDetails',
-      id: channelId
-    });
+async function fetchChannelUploads(channelId, maxResults = 10, options = {}) {
+  // First, get the upload playlist ID for the channel (the profile comes with it at no extra cost)
+  const channelResponse = await quota.track('channels.list', () => youtube.channels.list({
+    part: CHANNEL_PARTS,
+    id: channelId
+  }));
 
-    if (!channelResponse.data.items || channelResponse.data.items.length === 0) {
-      console.log(`No channel found with ID: ${channelId}`);
-      return [];
-    }
+  if (!channelResponse.data.items || channelResponse.data.items.length === 0) {
+    throw new Error(`No channel found with ID: ${channelId}`);
+  }
+  
+  try {
+    await saveChannelProfile(buildChannelProfile(channelResponse.data.items[0]));
+  } catch (error) {
+    console.error(`Error saving profile for channel ${channelId}:`, error.message);
+  }
 
-    const uploadsPlaylistId = channelResponse.data.items[0].contentDetails.relatedPlaylists.uploads;
+  const uploadsPlaylistId = channelResponse.data.items[0].contentDetails.relatedPlaylists.uploads;
 
-    // Then, fetch videos from the uploads playlist
-    const playlistResponse = await youtube.playlistItems.list({
+  // Then, page through the uploads playlist (newest uploads come first)
+  const publishedAfter = options.publishedAfter ? new Date(options.publishedAfter) : null;
+  const knownVideoIds = options.knownVideoIds || new Set();
+  
+  const playlistItems = await listAllPages(
+    'playlistItems.list',
+    params => youtube.playlistItems.list(params),
+    {
       part: 'snippet,contentDetails',
-      playlistId: uploadsPlaylistId,
-      maxResults: maxResults
-    });
-
-    if (!playlistResponse.data.items || playlistResponse.data.items.length === 0) {
-      console.log(`No videos found for channel: ${channelId}`);
-      return [];
+      playlistId: uploadsPlaylistId
+    },
+    {
+      limit: resolveResultLimit(maxResults),
+      pageSize: 50,
+      isPastCutoff: item => {
+        if (knownVideoIds.has(item.contentDetails.videoId)) return true;
+        if (!publishedAfter) return false;
+        return new Date(item.contentDetails.videoPublishedAt || item.snippet.publishedAt) < publishedAfter;
+      }
     }
+  );
 
-    // Extract video details
-    const videos = [];
+  if (playlistItems.length === 0) {
+    console.log(`No videos found for channel: ${channelId}`);
+    return [];
+  }
+
+  // Get additional video details including statistics in one batched lookup
+  const detailsById = await getVideoDetailsBatch(
+    playlistItems.map(item => item.contentDetails.videoId)
+  );
+  
+  // Extract video details
+  const videos = [];
+  
+  for (const item of playlistItems) {
+    const videoId = item.contentDetails.videoId;
+    const videoDetails = detailsById.get(videoId);
     
-    for (const item of playlistResponse.data.items) {
-      const videoId = item.contentDetails.videoId;
-      
-      // Get additional video details including statistics
-      const videoDetails = await getVideoDetails(videoId);
-      
-      if (!videoDetails) continue;
-      
-      videos.push({
-        videoId,
-        title: item.snippet.title,
-        description: item.snippet.description,
-        publishedAt: item.snippet.publishedAt,
-        channelId: item.snippet.channelId,
-        channelTitle: item.snippet.channelTitle,
-        thumbnailUrl: item.snippet.thumbnails.high?.url || item.snippet.thumbnails.default?.url,
-        source: 'channel',
-        ...videoDetails
-      });
-    }
+    if (!videoDetails) continue;
+    
+    videos.push({
+      videoId,
+      title: item.snippet.title,
+      description: item.snippet.description,
+      publishedAt: item.snippet.publishedAt,
+      channelId: item.snippet.channelId,
+      channelTitle: item.snippet.channelTitle,
+      thumbnailUrl: item.snippet.thumbnails.high?.url || item.snippet.thumbnails.default?.url,
+      source: 'channel',
+      ...videoDetails
+    });
+  }
 
-    return videos;
+  return videos;
+}
+
+/**
+ * Fetch videos from a specific YouTube channel
+ * @param {string} channelId - The YouTube channel ID
+ * @param {number} maxResults - Maximum number of results to return (paged 50 at a time)
+ * @param {Object} options - { publishedAfter } to stop at uploads older than a date
+ * @returns {Promise<Array>} Array of video objects
+ */
+async function fetchVideosFromChannel(channelId, maxResults = 10, options = {}) {
+  try {
+    return await fetchChannelUploads(channelId, maxResults, options);
   } catch (error) {
+    if (error instanceof quota.QuotaExceededError) throw error;
     console.error(`Error fetching videos from channel ${channelId}:`, error.message);
     return [];
   }
@@ -706,32 +1292,50 @@ async function fetchVideosFromChannel(channelId, maxResults = 10) {
 /**
  * Search for videos based on keywords
  * @param {string} keyword - The keyword to search for
- * @param {number} maxResults - Maximum number of results to return
+ * @param {number} maxResults - Maximum number of results to return (paged 50 at a time)
+ * @param {Object} options - { publishedAfter } to only return videos newer than a date
  * @returns {Promise<Array>} Array of video objects
  */
-async function searchVideos(keyword, maxResults = 10) {
+async function searchVideos(keyword, maxResults = 10, options = {}) {
   try {
-    const searchResponse = await youtube.search.list({
+    const searchParams = {
       part: 'snippet',
       q: keyword,
       type: 'video',
-      maxResults: maxResults,
       order: 'date' // Get the most recent videos
-    });
+    };
+    
+    if (options.publishedAfter) {
+      searchParams.publishedAfter = new Date(options.publishedAfter).toISOString();
+    }
+    
+    // Each search page costs 100 quota units, so only page as far as needed
+    const searchItems = await listAllPages(
+      'search.list',
+      params => youtube.search.list(params),
+      searchParams,
+      {
+        limit: resolveResultLimit(maxResults),
+        pageSize: 50
+      }
+    );
 
-    if (!searchResponse.data.items || searchResponse.data.items.length === 0) {
+    if (searchItems.length === 0) {
       console.log(`No videos found for keyword: ${keyword}`);
       return [];
     }
 
+    // Get additional video details including statistics in one batched lookup
+    const detailsById = await getVideoDetailsBatch(
+      searchItems.map(item => item.id.videoId)
+    );
+    
     // Extract video details
     const videos = [];
     
-    for (const item of searchResponse.data.items) {
+    for (const item of searchItems) {
       const videoId = item.id.videoId;
-      
-      // Get additional video details including statistics
-      const videoDetails = await getVideoDetails(videoId);
+      const videoDetails = detailsById.get(videoId);
       
       if (!videoDetails) continue;
       
@@ -751,43 +1355,282 @@ async function searchVideos(keyword, maxResults = 10) {
 
     return videos;
   } catch (error) {
+    if (error instanceof quota.QuotaExceededError) throw error;
     console.error(`Error searching videos with keyword ${keyword}:`, error.message);
     return [];
   }
 }
 
 /**
- * Fetch all videos from configured channels and keywords
+ * Sync a channel incrementally, fetching only uploads newer than the last sync
+ * The first sync fetches the most recent uploads up to the configured initial limit
+ * @param {string} channelId - The YouTube channel ID
+ * @param {Object} options - { maxResults } per-run fetch limit
+ * @returns {Promise<Array>} Newly fetched video objects (already saved to the database)
+ */
+async function syncChannel(channelId, options = {}) {
+  const syncState = await ChannelSyncState.findOne({ channelId }) ||
+    new ChannelSyncState({ channelId });
+  
+  syncState.lastRunAt = new Date();
+  
+  try {
+    // Paging stops at the first upload an earlier sync of this channel already saw. Videos that
+    // came in through keyword search are not counted, and the first sync walks the whole list
+    const isFirstSync = !syncState.lastPublishedAt;
+    const knownVideos = isFirstSync ? [] : await Video.find({
+      channelId,
+      publishedAt: { $lte: syncState.lastPublishedAt }
+    })
+      .sort({ publishedAt: -1 })
+      .limit(50)
+      .select('videoId');
+    
+    const videos = await fetchChannelUploads(
+      channelId,
+      options.maxResults || (isFirstSync ? config.sync.initialMaxResults : null),
+      {
+        publishedAfter: syncState.lastPublishedAt,
+        knownVideoIds: new Set(knownVideos.map(video => video.videoId))
+      }
+    );
+    
+    await saveVideosToDatabase(videos);
+    
+    for (const video of videos) {
+      const publishedAt = new Date(video.publishedAt);
+      if (!syncState.lastPublishedAt || publishedAt > syncState.lastPublishedAt) {
+        syncState.lastPublishedAt = publishedAt;
+      }
+    }
+    
+    syncState.lastSuccessAt = new Date();
+    syncState.lastFetchedCount = videos.length;
+    syncState.lastError = null;
+    await syncState.save();
+    
+    console.log(`Channel ${channelId} synced: ${videos.length} new video(s)`);
+    return videos;
+  } catch (error) {
+    console.error(`Error syncing channel ${channelId}:`, error.message);
+    
+    syncState.lastError = error.message;
+    syncState.lastErrorAt = new Date();
+    await syncState.save().catch(saveError => {
+      console.error(`Error saving sync state for channel ${channelId}:`, saveError.message);
+    });
+    
+    if (error instanceof quota.QuotaExceededError) throw error;
+    return [];
+  }
+}
+
+/**
+ * Refresh statistics of stored videos that have not been updated recently
+ * Uses batched videos.list lookups and only touches stats and engagement metrics
+ * @param {Object} options - { olderThanHours, limit }
+ * @returns {Promise<Object>} Number of videos checked and updated
+ */
+async function refreshVideoStats(options = {}) {
+  const olderThanHours = options.olderThanHours || config.sync.statsRefreshAgeHours;
+  const limit = options.limit || config.sync.statsRefreshBatchSize;
+  const cutoff = new Date(Date.now() - olderThanHours * 60 * 60 * 1000);
+  
+  const staleVideos = await Video.find({
+    $or: [
+      { statsUpdatedAt: { $lt: cutoff } },
+      { statsUpdatedAt: { $exists: false } }
+    ]
+  })
+    .sort({ statsUpdatedAt: 1 })
+    .limit(limit)
+    .select('videoId');
+  
+  if (staleVideos.length === 0) {
+    return { checked: 0, updated: 0 };
+  }
+  
+  // Only statistics are written, so skip link expansion
+  const detailsById = await getVideoDetailsBatch(staleVideos.map(video => video.videoId), { analyzeLinks: false });
+  const now = new Date();
+  
+  const operations = [...detailsById].map(([videoId, details]) => ({
+    updateOne: {
+      filter: { videoId },
+      update: {
+        $set: {
+          viewCount: details.viewCount,
+          likeCount: details.likeCount,
+          commentCount: details.commentCount,
+          favoriteCount: details.favoriteCount,
+          engagementMetrics: details.engagementMetrics,
+          statsUpdatedAt: now
+        }
+      }
+    }
+  }));
+  
+  if (operations.length > 0) {
+    await Video.bulkWrite(operations, { ordered: false });
+    await recordStatsSnapshots(
+      [...detailsById].map(([videoId, details]) => ({ videoId, ...details })),
+      now
+    );
+  }
+  
+  console.log(`Video stats refreshed: ${operations.length} of ${staleVideos.length} stale video(s)`);
+  return { checked: staleVideos.length, updated: operations.length };
+}
+
+/**
+ * Fetch new videos for a single watch target and record the run on the target
+ * Channels are synced incrementally; keywords are searched and saved
+ * @param {Object} target - WatchTarget document
+ * @returns {Promise<Array>} Fetched video objects
+ */
+async function fetchWatchTarget(target) {
+  let videos = [];
+  
+  try {
+    if (target.type === 'channel') {
+      console.log(`Syncing videos from channel: ${target.value}`);
+      videos = await syncChannel(target.value, { maxResults: target.maxResults });
+    } else {
+      console.log(`Searching videos with keyword: ${target.value}`);
+      videos = await searchVideos(target.value, target.maxResults || 10);
+      await saveVideosToDatabase(videos);
+    }
+    
+    target.lastError = null;
+    return videos;
+  } catch (error) {
+    target.lastError = error.message;
+    throw error;
+  } finally {
+    target.lastFetchedAt = new Date();
+    target.lastFetchCount = videos.length;
+    await target.save().catch(saveError => {
+      console.error(`Error saving watch target ${target.value}:`, saveError.message);
+    });
+  }
+}
+
+/**
+ * Fetch all videos from enabled watch targets that use the default schedule
+ * Targets with their own schedule are fetched by their own cron task
  */
 async function fetchAllVideos() {
+  let allVideos = [];
+
   try {
     console.log('Starting to fetch videos...');
-    let allVideos = [];
 
-    // Fetch videos from channels
-    for (const channelId of config.youtubeChannels) {
-      console.log(`Fetching videos from channel: ${channelId}`);
-      const channelVideos = await fetchVideosFromChannel(channelId);
-      allVideos = [...allVideos, ...channelVideos];
-    }
+    const targets = await WatchTarget.find({
+      enabled: true,
+      $or: [{ schedule: null }, { schedule: '' }]
+    }).sort({ type: 1, createdAt: 1 });
 
-    // Search for videos by keywords
-    for (const keyword of config.searchKeywords) {
-      console.log(`Searching videos with keyword: ${keyword}`);
-      const keywordVideos = await searchVideos(keyword);
-      allVideos = [...allVideos, ...keywordVideos];
+    // Each target's videos are saved as soon as they are fetched
+    for (const target of targets) {
+      const videos = await fetchWatchTarget(target);
+      allVideos = [...allVideos, ...videos];
     }
 
     console.log(`Total videos fetched: ${allVideos.length}`);
 
-    // Save all videos to database
-    await saveVideosToDatabase(allVideos);
-
     return allVideos;
   } catch (error) {
+    if (error instanceof quota.QuotaExceededError) throw error;
     console.error('Error fetching all videos:', error.message);
+    return allVideos;
+  }
+}
+
+/**
+ * Get the transcript-based sponsor segments stored on a video
+ * @param {Object} video - Video document
+ * @returns {Array} Transcript segments (empty if captions were never ingested)
+ */
+function getTranscriptSegments(video) {
+  if (!video || !video.sponsorshipInfo || !video.sponsorshipInfo.segments) {
     return [];
   }
+  
+  return video.sponsorshipInfo.segments
+    .filter(segment => segment.source === 'transcript')
+    .map(segment => (segment.toObject ? segment.toObject() : segment));
+}
+
+/**
+ * Re-resolve detected brands on stored videos, ad insights and comments
+ * Run after changing the brand dictionary. Only the latest ad insights version of each video
+ * is updated; superseded versions keep the brands they were generated with
+ * @returns {Promise<Object>} Number of updated documents per collection
+ */
+async function backfillDetectedBrands() {
+  brands.invalidateBrandCache();
+  await brands.ensureBrandsLoaded();
+  
+  const result = { videos: 0, adInsights: 0, comments: 0 };
+  const batchSize = 500;
+  let videoOps = [];
+  let insightOps = [];
+  
+  const flushVideoOps = async () => {
+    if (videoOps.length > 0) {
+      result.videos += (await Video.bulkWrite(videoOps, { ordered: false })).modifiedCount;
+      result.adInsights += (await AdInsight.bulkWrite(insightOps, { ordered: false })).modifiedCount;
+      videoOps = [];
+      insightOps = [];
+    }
+  };
+  
+  const videoCursor = Video.find().select('videoId description tags sponsorshipInfo.links').cursor();
+  for await (const video of videoCursor) {
+    const storedLinks = (video.sponsorshipInfo && video.sponsorshipInfo.links) || [];
+    const detectedBrands = [...new Set([
+      ...detectSponsorship(video.description, video.tags).detectedBrands,
+      ...brands.resolveBrandLinks(storedLinks.map(link => link.domain).join(' '))
+    ])];
+    
+    videoOps.push({
+      updateOne: {
+        filter: { videoId: video.videoId },
+        update: { $set: { 'sponsorshipInfo.detectedBrands': detectedBrands } }
+      }
+    });
+    insightOps.push({
+      updateOne: {
+        filter: { videoId: video.videoId, isLatest: true },
+        update: { $set: { detectedBrands } }
+      }
+    });
+    
+    if (videoOps.length >= batchSize) await flushVideoOps();
+  }
+  await flushVideoOps();
+  
+  let commentOps = [];
+  const commentCursor = Comment.find().select('commentId text').cursor();
+  for await (const comment of commentCursor) {
+    commentOps.push({
+      updateOne: {
+        filter: { commentId: comment.commentId },
+        update: { $set: { 'adRelated.brandMentions': brands.resolveBrands(comment.text) } }
+      }
+    });
+    
+    if (commentOps.length >= batchSize) {
+      result.comments += (await Comment.bulkWrite(commentOps, { ordered: false })).modifiedCount;
+      commentOps = [];
+    }
+  }
+  if (commentOps.length > 0) {
+    result.comments += (await Comment.bulkWrite(commentOps, { ordered: false })).modifiedCount;
+  }
+  
+  console.log(`Brand backfill updated ${result.videos} videos, ${result.adInsights} ad insights and ${result.comments} comments`);
+  return result;
 }
 
 /**
@@ -800,35 +1643,140 @@ async function saveVideosToDatabase(videos) {
     let updatedVideos = 0;
 
     for (const video of videos) {
+      video.statsUpdatedAt = new Date();
+      
       // Check if video already exists in database
       const existingVideo = await Video.findOne({ videoId: video.videoId });
 
+      // A video can be found by several searches, so keep every keyword rather than the last one
+      const searchKeyword = video.source === 'search' && video.keyword ? video.keyword.trim().toLowerCase() : null;
+
       if (!existingVideo) {
         // Create new video document
-        await Video.create(video);
+        await Video.create(searchKeyword ? { ...video, searchKeywords: [searchKeyword] } : video);
         newVideos++;
       } else {
+        // Keep sponsor segments measured from previously ingested captions
+        const transcriptSegments = getTranscriptSegments(existingVideo);
+        if (transcriptSegments.length > 0) {
+          video.sponsorshipInfo = captions.applyTranscriptSegments(video.sponsorshipInfo, transcriptSegments);
+        }
+        
         // Update existing video document
-        await Video.findOneAndUpdate({ videoId: video.videoId }, video, { new: true });
+        const update = searchKeyword ? { ...video, $addToSet: { searchKeywords: searchKeyword } } : video;
+        await Video.findOneAndUpdate({ videoId: video.videoId }, update, { new: true });
         updatedVideos++;
       }
     }
 
     console.log(`Videos saved to database: ${newVideos} new, ${updatedVideos} updated`);
+    
+    await recordStatsSnapshots(videos);
+    await updateUploadCadence(videos.map(video => video.channelId));
   } catch (error) {
     console.error('Error saving videos to database:', error.message);
   }
 }
 
+/**
+ * Record a statistics snapshot for each fetched video
+ * Engagement metrics are computed from the snapshot's own counts
+ * @param {Array} videos - Video objects with videoId, channelId and statistics
+ * @param {Date} capturedAt - Capture time (defaults to now)
+ */
+async function recordStatsSnapshots(videos, capturedAt = new Date()) {
+  if (!videos || videos.length === 0) return;
+  
+  try {
+    const snapshots = videos.map(video => ({
+      videoId: video.videoId,
+      channelId: video.channelId,
+      capturedAt,
+      viewCount: video.viewCount,
+      likeCount: video.likeCount,
+      commentCount: video.commentCount,
+      favoriteCount: video.favoriteCount,
+      engagementMetrics: calculateEngagementMetrics(
+        video.viewCount, video.likeCount, video.commentCount
+      )
+    }));
+    
+    await VideoStatsSnapshot.insertMany(snapshots, { ordered: false });
+  } catch (error) {
+    console.error('Error recording video stats snapshots:', error.message);
+  }
+}
+
+/**
+ * Build the statistics time series of a video with deltas between snapshots
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} options - { from, to } optional date range
+ * @returns {Promise<Array>} Snapshots in capture order with deltas and view velocity
+ */
+async function getVideoStatsHistory(videoId, options = {}) {
+  const filter = { videoId };
+  
+  if (options.from || options.to) {
+    filter.capturedAt = {};
+    if (options.from) filter.capturedAt.$gte = options.from;
+    if (options.to) filter.capturedAt.$lte = options.to;
+  }
+  
+  const snapshots = await VideoStatsSnapshot.find(filter).sort({ capturedAt: 1 });
+  const msPerDay = 24 * 60 * 60 * 1000;
+  
+  return snapshots.map((snapshot, index) => {
+    const point = {
+      capturedAt: snapshot.capturedAt,
+      viewCount: snapshot.viewCount,
+      likeCount: snapshot.likeCount,
+      commentCount: snapshot.commentCount,
+      engagementMetrics: calculateEngagementMetrics(
+        snapshot.viewCount, snapshot.likeCount, snapshot.commentCount
+      ),
+      delta: null,
+      viewsPerDay: null
+    };
+    
+    if (index > 0) {
+      const previous = snapshots[index - 1];
+      const elapsedDays = (snapshot.capturedAt - previous.capturedAt) / msPerDay;
+      
+      point.delta = {
+        days: elapsedDays,
+        viewCount: (snapshot.viewCount || 0) - (previous.viewCount || 0),
+        likeCount: (snapshot.likeCount || 0) - (previous.likeCount || 0),
+        commentCount: (snapshot.commentCount || 0) - (previous.commentCount || 0)
+      };
+      point.viewsPerDay = elapsedDays > 0 ? point.delta.viewCount / elapsedDays : null;
+    }
+    
+    return point;
+  });
+}
+
 // Export functions
 module.exports = {
   fetchVideosFromChannel,
   searchVideos,
   fetchAllVideos,
+  fetchWatchTarget,
+  syncChannel,
+  refreshVideoStats,
+  getVideoStatsHistory,
   getVideoDetails,
+  getVideoDetailsBatch,
   getVideoComments,
+  ingestVideoComments,
   analyzeCommentSentiment,
+  analyzeVideoContent,
   generateAdInsightsReport,
   generateChannelAdInsights,
-  saveVideosToDatabase
+  detectSponsorship,
+  backfillDetectedBrands,
+  saveAdInsightsReport,
+  diffAdInsightVersions,
+  saveVideosToDatabase,
+  refreshChannelProfiles,
+  getChannelAdStats
 };
\ No newline at end of file
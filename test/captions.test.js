@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const captions = require('../services/captions');
+
+const SRT = `1
+00:00:01,000 --> 00:00:04,000
+Welcome back to the channel
+
+2
+00:00:05,000 --> 00:00:09,500
+This video is sponsored by NordVPN
+
+3
+00:00:10,000 --> 00:00:14,000
+Use code <b>TECH</b> for 20% off
+
+4
+00:00:15,000 --> 00:00:18,000
+Now back to the video
+`;
+
+const VTT = `WEBVTT
+
+00:01.000 --> 00:03.500 align:start
+Hello <v Speaker>there</v>
+
+01:02:03.250 --> 01:02:05.000
+Last line
+`;
+
+describe('parseCaptions', () => {
+  it('parses SRT cues and strips markup', () => {
+    const cues = captions.parseCaptions(SRT);
+
+    assert.strictEqual(cues.length, 4);
+    assert.deepStrictEqual(cues[2], { start: 10, end: 14, text: 'Use code TECH for 20% off' });
+  });
+
+  it('parses WebVTT timestamps with hours, milliseconds and cue settings', () => {
+    const cues = captions.parseCaptions(VTT);
+
+    assert.deepStrictEqual(cues, [
+      { start: 1, end: 3.5, text: 'Hello there' },
+      { start: 3723.25, end: 3725, text: 'Last line' }
+    ]);
+  });
+
+  it('detects the caption format', () => {
+    assert.strictEqual(captions.detectCaptionFormat(VTT), 'vtt');
+    assert.strictEqual(captions.detectCaptionFormat(SRT), 'srt');
+    assert.strictEqual(captions.detectCaptionFormat('plain text'), null);
+  });
+});
+
+describe('detectSponsorSegments', () => {
+  it('opens on a sponsor phrase and closes on a return-to-content phrase', () => {
+    const segments = captions.detectSponsorSegments(captions.parseCaptions(SRT));
+
+    assert.strictEqual(segments.length, 1);
+    assert.strictEqual(segments[0].start, 5);
+    assert.strictEqual(segments[0].end, 15);
+    assert.strictEqual(segments[0].duration, 10);
+    assert.strictEqual(segments[0].trigger, 'This video is sponsored by');
+  });
+
+  it('ignores a lone call to action', () => {
+    const segments = captions.detectSponsorSegments([
+      { start: 0, end: 3, text: 'I always use code reviews at work' },
+      { start: 100, end: 103, text: 'Anyway, that is the build' }
+    ]);
+
+    assert.deepStrictEqual(segments, []);
+  });
+
+  it('closes a segment after a gap without sponsor signals', () => {
+    const segments = captions.detectSponsorSegments([
+      { start: 0, end: 5, text: 'Thanks to Acme for sponsoring this video' },
+      { start: 60, end: 65, text: 'So the next step is the wiring' }
+    ]);
+
+    assert.strictEqual(segments.length, 1);
+    assert.strictEqual(segments[0].end, 5);
+  });
+});
+
+describe('applyTranscriptSegments', () => {
+  const descriptionSegment = { start: 60, end: 90, duration: 30, source: 'description' };
+  const transcriptSegment = { start: 5, end: 15, duration: 10, source: 'transcript' };
+
+  it('measures adDuration from transcript segments', () => {
+    const info = captions.applyTranscriptSegments(
+      { hasSponsorship: false, adIndicators: [], segments: [descriptionSegment], adDuration: 30 },
+      [transcriptSegment, { ...transcriptSegment, start: 100, end: 120, duration: 20 }]
+    );
+
+    assert.strictEqual(info.hasSponsorship, true);
+    assert.strictEqual(info.adDuration, 30);
+    assert.deepStrictEqual(info.adIndicators, ['transcript segment']);
+    assert.strictEqual(info.segments.length, 3);
+  });
+
+  it('falls back to description segments when a new track has no sponsor read', () => {
+    const previous = captions.applyTranscriptSegments(
+      { hasSponsorship: true, adIndicators: ['sponsored by'], segments: [descriptionSegment] },
+      [transcriptSegment]
+    );
+    const info = captions.applyTranscriptSegments(previous, []);
+
+    assert.strictEqual(info.adDuration, 30);
+    assert.strictEqual(info.hasSponsorship, true);
+    assert.deepStrictEqual(info.adIndicators, ['sponsored by']);
+    assert.deepStrictEqual(info.segments, [descriptionSegment]);
+  });
+
+  it('clears sponsorship that only came from the transcript', () => {
+    const previous = captions.applyTranscriptSegments({ hasSponsorship: false, adIndicators: [] }, [transcriptSegment]);
+    const info = captions.applyTranscriptSegments(previous, []);
+
+    assert.strictEqual(info.hasSponsorship, false);
+    assert.strictEqual(info.adDuration, null);
+    assert.deepStrictEqual(info.adIndicators, []);
+  });
+});
@@ -0,0 +1,33 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const CONFIG_PATH = require.resolve('../config/config');
+
+/**
+ * Load the config module again with some environment variables set
+ * @param {Object} env - Environment variables
+ * @returns {Object} Config
+ */
+function loadConfig(env) {
+  Object.assign(process.env, env);
+  delete require.cache[CONFIG_PATH];
+  return require(CONFIG_PATH);
+}
+
+describe('config', () => {
+  afterEach(() => {
+    delete process.env.LLM_MAX_REPAIR_ATTEMPTS;
+    delete require.cache[CONFIG_PATH];
+  });
+
+  it('allows LLM_MAX_REPAIR_ATTEMPTS=0 to turn repair off', () => {
+    assert.strictEqual(loadConfig({ LLM_MAX_REPAIR_ATTEMPTS: '0' }).llm.maxRepairAttempts, 0);
+    assert.strictEqual(loadConfig({ LLM_MAX_REPAIR_ATTEMPTS: '3' }).llm.maxRepairAttempts, 3);
+  });
+
+  it('defaults to one repair attempt when the setting is unset or not a number', () => {
+    assert.strictEqual(loadConfig({ LLM_MAX_REPAIR_ATTEMPTS: 'abc' }).llm.maxRepairAttempts, 1);
+    delete process.env.LLM_MAX_REPAIR_ATTEMPTS;
+    assert.strictEqual(loadConfig({}).llm.maxRepairAttempts, 1);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const links = require('../services/links');
+
+describe('classifyLink', () => {
+  it('classifies social, merch and affiliate links', () => {
+    assert.strictEqual(links.classifyLink('https://www.instagram.com/creator', 'https://www.instagram.com/creator').category, 'social');
+    assert.strictEqual(links.classifyLink('https://creator.teespring.com/shop', 'https://creator.teespring.com/shop').category, 'merch');
+    assert.strictEqual(links.classifyLink('https://shop.example.com/hoodie', 'https://shop.example.com/hoodie').category, 'merch');
+    assert.strictEqual(links.classifyLink('https://www.example.com/p/1?tag=creator-20', 'https://www.example.com/p/1?tag=creator-20').category, 'affiliate');
+  });
+
+  it('keeps affiliate shorteners as affiliate after expansion', () => {
+    const link = links.classifyLink('https://amzn.to/abc', 'https://www.amazon.com/dp/B000?th=1');
+
+    assert.strictEqual(link.category, 'affiliate');
+    assert.strictEqual(link.domain, 'amazon.com');
+    assert.strictEqual(link.expandedUrl, 'https://www.amazon.com/dp/B000?th=1');
+  });
+
+  it('treats UTM-tracked links as sponsor links', () => {
+    const link = links.classifyLink(
+      'https://example.com/?utm_source=youtube&utm_campaign=creator',
+      'https://example.com/?utm_source=youtube&utm_campaign=creator'
+    );
+
+    assert.strictEqual(link.category, 'sponsor');
+    assert.deepStrictEqual(link.utm, { source: 'youtube', campaign: 'creator' });
+    assert.strictEqual(link.expandedUrl, null);
+  });
+});
+
+describe('extractPromoCodes', () => {
+  it('ties each code to the discount in its sentence', () => {
+    const codes = links.extractPromoCodes('Use code TECH20 for 20% off. Get $10 off with code: SAVE10!\nLink below');
+
+    assert.deepStrictEqual(codes.map(code => [code.code, code.discount]), [['TECH20', '20% off'], ['SAVE10', '$10 off']]);
+  });
+
+  it('skips words that follow "code" but are not codes', () => {
+    assert.deepStrictEqual(links.extractPromoCodes('Use the code below at checkout'), []);
+  });
+});
+
+describe('expandLink', () => {
+  afterEach(() => links.setLinkResolver(null));
+
+  it('expands shortener links with the configured resolver and caches the result', async () => {
+    const calls = [];
+    links.setLinkResolver(async url => {
+      calls.push(url);
+      return 'https://www.example.com/product?ref=creator';
+    });
+
+    assert.strictEqual(await links.expandLink('https://bit.ly/abc'), 'https://www.example.com/product?ref=creator');
+    assert.strictEqual(await links.expandLink('https://bit.ly/abc'), 'https://www.example.com/product?ref=creator');
+    assert.deepStrictEqual(calls, ['https://bit.ly/abc']);
+  });
+
+  it('leaves other links alone', async () => {
+    links.setLinkResolver(async () => assert.fail('resolver should not be called'));
+
+    assert.strictEqual(await links.expandLink('https://example.com/page'), 'https://example.com/page');
+  });
+
+  it('retries failed expansions instead of caching them', async t => {
+    t.mock.method(console, 'error', () => {});
+    let attempts = 0;
+    links.setLinkResolver(async url => {
+      attempts++;
+      if (attempts === 1) throw new Error('timeout');
+      return `${url}-expanded`;
+    });
+
+    assert.strictEqual(await links.expandLink('https://bit.ly/retry'), 'https://bit.ly/retry');
+    assert.strictEqual(await links.expandLink('https://bit.ly/retry'), 'https://bit.ly/retry-expanded');
+  });
+
+  it('classifies description links after expansion', async () => {
+    links.setLinkResolver(async () => 'https://partner.example/signup?aff_id=42');
+
+    const { links: found, promoCodes } = await links.analyzeDescriptionLinks(
+      'Try it here: https://bit.ly/deal. Use code CREATOR for 15% off'
+    );
+
+    assert.strictEqual(found.length, 1);
+    assert.strictEqual(found[0].url, 'https://bit.ly/deal');
+    assert.strictEqual(found[0].category, 'affiliate');
+    assert.deepStrictEqual(promoCodes.map(code => code.code), ['CREATOR']);
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const config = require('../config/config');
+const llm = require('../services/llm');
+const analysisSchema = require('../services/analysisSchema');
+
+const schema = { validate: analysisSchema.validateAnalysis, description: analysisSchema.ANALYSIS_SCHEMA_DESCRIPTION };
+
+describe('fixture provider', () => {
+  it('answers the same prompt the same way', async () => {
+    const first = await llm.generateText('Describe the ad', { provider: 'fixture' });
+    const second = await llm.generateText('Describe the ad', { provider: 'fixture' });
+
+    assert.strictEqual(first.text, second.text);
+    assert.strictEqual(first.provider, 'fixture');
+    assert.strictEqual(first.model, config.llm.models.fixture);
+  });
+
+  it('returns a valid analysis for JSON prompts', async () => {
+    const result = await llm.generateJson(
+      'Respond with JSON.\nHas Sponsorship: true\nDetected Brands: Acme, Globex',
+      schema,
+      { provider: 'fixture' }
+    );
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.repairAttempts, 0);
+    assert.deepStrictEqual(result.value.brands.map(brand => brand.name), ['Acme', 'Globex']);
+    assert.strictEqual(result.value.placement, 'mid-roll');
+  });
+
+  it('rejects unknown providers', () => {
+    assert.throws(() => llm.resolveLlmOptions({ provider: 'nope' }), /Unsupported LLM provider: nope/);
+  });
+});
+
+describe('generateJson repair', () => {
+  const maxRepairAttempts = config.llm.maxRepairAttempts;
+  afterEach(() => {
+    config.llm.maxRepairAttempts = maxRepairAttempts;
+  });
+
+  it('asks the model to repair a response that is not JSON', async t => {
+    t.mock.method(console, 'log', () => {});
+    config.llm.maxRepairAttempts = 1;
+
+    // The fixture answers a prompt without "JSON" in plain text; the repair prompt asks for JSON
+    const result = await llm.generateJson('Describe the ad', schema, { provider: 'fixture' });
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.repairAttempts, 1);
+  });
+
+  it('does not repair when maxRepairAttempts is 0', async () => {
+    config.llm.maxRepairAttempts = 0;
+
+    const result = await llm.generateJson('Describe the ad', schema, { provider: 'fixture' });
+
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.repairAttempts, 0);
+    assert.deepStrictEqual(result.errors, ['Response does not contain a JSON object']);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const sentiment = require('../services/sentiment');
+
+describe('detectLanguage', () => {
+  it('gives short Latin-script comments the video language', () => {
+    assert.strictEqual(sentiment.detectLanguage('nice video', 'pt-BR'), 'pt');
+    assert.strictEqual(sentiment.detectLanguage('first!'), 'en');
+  });
+
+  it('returns und for text without letters', () => {
+    assert.strictEqual(sentiment.detectLanguage('👍👍 123'), 'und');
+  });
+
+  it('detects longer comments in supported languages', () => {
+    const fixtures = [
+      ['en', 'This sponsor segment was way too long'],
+      ['es', 'Me encanta este canal, muy buen video'],
+      ['es', 'No me gusta nada este patrocinador, siempre es lo mismo'],
+      ['it', 'Questo video è davvero fantastico'],
+      ['de', 'Das Video ist wirklich sehr gut gemacht'],
+      ['nl', 'Wat een mooie video, echt heel goed gemaakt']
+    ];
+
+    for (const [language, text] of fixtures) {
+      assert.strictEqual(sentiment.detectLanguage(text), language, text);
+    }
+  });
+
+  it('does not mistake short Portuguese and French comments for Italian or Spanish', () => {
+    const fixtures = [
+      ['pt', 'Esse patrocínio foi muito chato'],
+      ['pt', 'Que vídeo incrível, parabéns pelo trabalho'],
+      ['pt', 'Muito bom esse vídeo, adorei demais'],
+      ['pt', 'Esse patrocínio foi horrível e chato'],
+      ['fr', 'Cette vidéo est trop longue avec la pub'],
+      ['fr', "J'adore cette chaîne, merci beaucoup"]
+    ];
+
+    for (const [language, text] of fixtures) {
+      assert.strictEqual(sentiment.detectLanguage(text), language, text);
+      assert.strictEqual(sentiment.detectLanguage(text, language), language, text);
+    }
+  });
+
+  it('returns und for a comment it cannot place, unless the video language fits', () => {
+    assert.strictEqual(sentiment.detectLanguage('Canal fantastico video'), 'und');
+    assert.strictEqual(sentiment.detectLanguage('Canal fantastico video', 'es'), 'es');
+  });
+
+  it('keeps an English comment on a video in another language', () => {
+    assert.strictEqual(sentiment.detectLanguage('This sponsor segment was way too long', 'pt'), 'en');
+  });
+});
+
+describe('scoreText', () => {
+  it('scores supported languages', async () => {
+    const positive = await sentiment.scoreText('I love this video, great work');
+    const negative = await sentiment.scoreText('Esse patrocínio foi muito ruim e chato', { fallbackLanguage: 'pt' });
+
+    assert.strictEqual(positive.language, 'en');
+    assert.strictEqual(positive.classification, 'positive');
+    assert.strictEqual(negative.language, 'pt');
+    assert.strictEqual(negative.classification, 'negative');
+  });
+
+  it('marks Hindi unsupported instead of scoring "बहुत अच्छा" negative', async () => {
+    const result = await sentiment.scoreText('बहुत अच्छा');
+
+    assert.strictEqual(result.supported, false);
+    assert.strictEqual(result.classification, 'unsupported');
+    assert.strictEqual(result.score, null);
+  });
+});
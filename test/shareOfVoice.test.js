@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Video = require('../models/video');
+const shareOfVoice = require('../services/shareOfVoice');
+
+/**
+ * Stub Video.find to return videos for the report query
+ * @param {Object} t - Test context
+ * @param {Array} videos - Video documents
+ */
+function stubVideos(t, videos) {
+  t.mock.method(Video, 'find', () => ({ select: () => ({ lean: async () => videos }) }));
+}
+
+describe('listWeeks', () => {
+  it('labels each week by its Monday, including partial first and last weeks', () => {
+    assert.deepStrictEqual(
+      shareOfVoice.listWeeks(new Date('2025-03-05T12:00:00Z'), new Date('2025-03-17T08:00:00Z')),
+      ['2025-03-03', '2025-03-10', '2025-03-17']
+    );
+  });
+
+  it('crosses a year boundary', () => {
+    assert.deepStrictEqual(
+      shareOfVoice.listWeeks(new Date('2024-12-28T00:00:00Z'), new Date('2025-01-06T00:00:00Z')),
+      ['2024-12-23', '2024-12-30', '2025-01-06']
+    );
+  });
+
+  it('is empty when from is after to', () => {
+    assert.deepStrictEqual(shareOfVoice.listWeeks(new Date('2025-03-17'), new Date('2025-03-03')), []);
+  });
+});
+
+describe('getShareOfVoiceReport', () => {
+  const sponsored = (videoId, publishedAt, viewCount, detectedBrands) => ({
+    videoId,
+    channelId: `channel-${videoId}`,
+    publishedAt: new Date(publishedAt),
+    viewCount,
+    sponsorshipInfo: { hasSponsorship: true, detectedBrands }
+  });
+
+  const videos = [
+    sponsored('a', '2025-03-04T10:00:00Z', 1000, ['Acme']),
+    sponsored('b', '2025-03-05T10:00:00Z', 3000, ['Globex']),
+    sponsored('c', '2025-03-11T10:00:00Z', 2000, ['Acme', 'Globex']),
+    sponsored('d', '2025-03-12T10:00:00Z', 500, []),
+    { videoId: 'e', channelId: 'x', publishedAt: new Date('2025-03-12T10:00:00Z'), viewCount: 9000, sponsorshipInfo: {} }
+  ];
+
+  it('shares brands out of the sponsored videos, counting unattributed ones', async t => {
+    stubVideos(t, videos);
+    const report = await shareOfVoice.getShareOfVoiceReport({
+      keyword: 'vpn',
+      from: new Date('2025-03-03T00:00:00Z'),
+      to: new Date('2025-03-16T23:59:59Z')
+    });
+
+    assert.deepStrictEqual(report.totals, {
+      videos: 5,
+      sponsoredVideos: 4,
+      sponsorshipRate: 80,
+      sponsoredViews: 6500,
+      unattributedVideos: 1
+    });
+    const acme = report.brands.find(item => item.brand === 'Acme');
+    assert.strictEqual(acme.videoShare, 50);
+    assert.strictEqual(acme.viewShare, (3000 / 6500) * 100);
+    assert.strictEqual(acme.creators, 2);
+  });
+
+  it('reports weekly shares and their change in percentage points', async t => {
+    stubVideos(t, videos);
+    const report = await shareOfVoice.getShareOfVoiceReport({
+      from: new Date('2025-03-03T00:00:00Z'),
+      to: new Date('2025-03-16T23:59:59Z')
+    });
+
+    assert.deepStrictEqual(report.weeks.map(week => week.week), ['2025-03-03', '2025-03-10']);
+    const [first, second] = report.weeks;
+    assert.strictEqual(first.brands.find(item => item.brand === 'Acme').videoShareChange, null);
+
+    const acme = second.brands.find(item => item.brand === 'Acme');
+    assert.strictEqual(acme.videoShare, 50);
+    assert.strictEqual(acme.videoShareChange, 0);
+    assert.strictEqual(second.sponsoredVideos, 2);
+  });
+
+  it('exports the report as CSV', async t => {
+    stubVideos(t, [videos[0]]);
+    const report = await shareOfVoice.getShareOfVoiceReport({
+      from: new Date('2025-03-03T00:00:00Z'),
+      to: new Date('2025-03-09T23:59:59Z')
+    });
+
+    assert.strictEqual(
+      shareOfVoice.reportToCsv(report),
+      'week,brand,sponsoredVideos,videoShare,videoShareChange,sponsoredViews,viewShare,viewShareChange\n' +
+      'all,Acme,1,100,,1000,100,\n' +
+      '2025-03-03,Acme,1,100,,1000,100,\n'
+    );
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Comment = require('../models/comment');
+const spam = require('../services/spam');
+
+describe('scoreComment', () => {
+  it('leaves an ordinary comment alone', () => {
+    const result = spam.scoreComment({ text: 'Great breakdown of the sponsor segment, thanks!' });
+
+    assert.deepStrictEqual(result, { score: 0, isSpam: false, reasons: [] });
+  });
+
+  it('flags scam phrases', () => {
+    const result = spam.scoreComment({ text: 'Congratulations, you have been selected as a winner! Text me on WhatsApp +1 555 123 4567' });
+
+    assert.strictEqual(result.isSpam, true);
+    assert.ok(result.reasons.includes('scamPhrase'));
+  });
+
+  it('flags comments made mostly of links', () => {
+    assert.deepStrictEqual(spam.scoreComment({ text: 'check https://spam.example' }).reasons, ['links']);
+    assert.deepStrictEqual(
+      spam.scoreComment({ text: 'I wrote a longer review of this laptop with benchmarks here https://blog.example/review' }).reasons,
+      []
+    );
+  });
+
+  it('adds signals up and caps the score at 1', () => {
+    const result = spam.scoreComment(
+      { text: 'Claim your prize https://a.example https://b.example' },
+      { duplicateCount: 2, authorCommentCount: 5 }
+    );
+
+    assert.deepStrictEqual(result.reasons, ['duplicate', 'links', 'scamPhrase', 'authorRepetition']);
+    assert.strictEqual(result.score, 1);
+  });
+
+  it('flags emoji floods', () => {
+    assert.deepStrictEqual(spam.scoreComment({ text: '🔥🔥🔥🔥🔥🔥🔥' }).reasons, ['emojiFlood']);
+  });
+});
+
+describe('hashText', () => {
+  it('matches copies that differ only in case and punctuation', () => {
+    const text = 'This is the best video I have seen all year, subscribed';
+
+    assert.strictEqual(spam.hashText(text), spam.hashText(text.toUpperCase().replace(',', '!!')));
+  });
+
+  it('skips short texts', () => {
+    assert.strictEqual(spam.hashText('first!'), null);
+  });
+});
+
+describe('classifyComments', () => {
+  it('counts copies by other authors and on other videos as duplicates', async t => {
+    const copied = 'Amazing content, go check out my channel for more tech reviews';
+    t.mock.method(Comment, 'aggregate', async () => [{ _id: spam.hashText(copied), count: 1 }]);
+
+    const results = await spam.classifyComments([
+      { text: copied, authorName: 'bot1' },
+      { text: copied, authorName: 'bot2' },
+      { text: 'Nice video', authorName: 'viewer' }
+    ], { videoId: 'v1' });
+
+    assert.deepStrictEqual(results[0].reasons, ['duplicate', 'scamPhrase']);
+    assert.strictEqual(results[0].isSpam, true);
+    assert.deepStrictEqual(results[2].reasons, []);
+    assert.strictEqual(results[2].textHash, null);
+  });
+});